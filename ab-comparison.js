@@ -0,0 +1,158 @@
+/**
+ * A/B Comparison - Handles switching the keyboard between two stored builds
+ *
+ * Each slot holds a build's dimensions and material. Switching rebuilds the
+ * piano from the other slot; ringing notes carry on as they were struck. With
+ * level matching the louder build (by the loudness of a medium middle C through
+ * its strings, filters and body) is trimmed down to the quieter one, so the
+ * comparison is not won by volume alone. In blind mode the slots are shown as
+ * X and Y in a random order until they are revealed.
+ */
+class ABComparison {
+    /**
+     * @param {PianoModel} pianoModel - Piano the slots are built on
+     */
+    constructor(pianoModel) {
+        this.pianoModel = pianoModel;
+        
+        // Stored builds: { dimensions: { length, width, height }, material } or null
+        this.slots = { A: null, B: null };
+        
+        // Slot the keyboard is playing (null until one is selected)
+        this.active = null;
+        
+        // Trim the louder build down to the quieter one
+        this.levelMatching = true;
+        
+        // Blind mode: X and Y stand for A and B in an order drawn when it is switched on
+        this.blind = false;
+        this.blindLabels = { A: 'X', B: 'Y' };
+    }
+    
+    /**
+     * Store a build in a slot
+     * @param {string} slot - 'A' or 'B'
+     * @param {Object} build - { dimensions: { length, width, height }, material }
+     */
+    storeSlot(slot, build) {
+        if (!(slot in this.slots)) {
+            throw new Error(`Unknown A/B slot "${slot}"`);
+        }
+        
+        this.slots[slot] = {
+            dimensions: { length: build.dimensions.length, width: build.dimensions.width, height: build.dimensions.height },
+            material: build.material
+        };
+        
+        // Keep the levels matched if the stored build is the one playing
+        this.applyLevelMatching();
+    }
+    
+    /**
+     * Check whether both slots hold a build
+     */
+    isReady() {
+        return this.slots.A !== null && this.slots.B !== null;
+    }
+    
+    /**
+     * Play a slot: rebuild the piano with its dimensions and material
+     * @param {string} slot - 'A' or 'B'
+     * @returns {Object} - Acoustic profile of the build (see PianoModel.getAcousticProfile)
+     */
+    select(slot) {
+        const build = this.slots[slot];
+        if (!build) {
+            throw new Error(`A/B slot "${slot}" is empty`);
+        }
+        
+        this.active = slot;
+        const profile = this.pianoModel.buildWith(build.dimensions, build.material);
+        
+        // The trim goes on the new build, so notes still ringing on the other one keep their level
+        this.applyLevelMatching();
+        
+        return profile;
+    }
+    
+    /**
+     * Stop comparing (e.g. after building something else): no slot is playing and the trim is removed
+     */
+    deselect() {
+        this.active = null;
+        this.applyLevelMatching();
+    }
+    
+    /**
+     * Switch to the other slot
+     * @returns {Object} - Acoustic profile of the build now playing
+     */
+    toggle() {
+        return this.select(this.active === 'A' ? 'B' : 'A');
+    }
+    
+    /**
+     * Turn level matching on or off
+     * @param {boolean} enabled
+     */
+    setLevelMatching(enabled) {
+        this.levelMatching = enabled;
+        this.applyLevelMatching();
+    }
+    
+    /**
+     * Trim the playing build so both slots play at the level of the quieter one
+     */
+    applyLevelMatching() {
+        if (!this.levelMatching || !this.isReady() || !this.active) {
+            this.pianoModel.setLevelTrim(0);
+            return;
+        }
+        
+        const levels = {};
+        Object.keys(this.slots).forEach(slot => {
+            levels[slot] = this.pianoModel.estimateLoudnessOf(this.slots[slot]);
+        });
+        
+        this.pianoModel.setLevelTrim(Math.min(levels.A, levels.B) - levels[this.active]);
+    }
+    
+    /**
+     * Turn blind mode on (drawing a new order for X and Y) or off
+     * @param {boolean} enabled
+     */
+    setBlind(enabled) {
+        this.blind = enabled;
+        
+        if (enabled) {
+            const swapped = Math.random() < 0.5;
+            this.blindLabels = swapped ? { A: 'Y', B: 'X' } : { A: 'X', B: 'Y' };
+        }
+    }
+    
+    /**
+     * Get the name to show for a slot: its own, or X / Y in blind mode
+     * @param {string} slot - 'A' or 'B'
+     */
+    getLabel(slot) {
+        return this.blind ? this.blindLabels[slot] : slot;
+    }
+    
+    /**
+     * End blind mode and tell which slot was which
+     * @returns {Object} - { X, Y } mapped to 'A' or 'B'
+     */
+    reveal() {
+        const answer = {};
+        Object.keys(this.blindLabels).forEach(slot => {
+            answer[this.blindLabels[slot]] = slot;
+        });
+        
+        this.blind = false;
+        return answer;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ABComparison;
+}
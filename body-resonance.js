@@ -0,0 +1,163 @@
+/**
+ * Body Resonance - Synthesizes soundboard/body impulse responses for the convolver
+ *
+ * The impulse response is a sum of decaying soundboard modes (their spacing comes
+ * from the board area, their decay from the material's loss factor) plus a
+ * diffuse noise tail for the dense upper range where modes overlap.
+ */
+class BodyResonance {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.sampleRate = audioContext.sampleRate;
+        
+        // Impulse responses keyed by their parameters
+        this.cache = new Map();
+        
+        // Keep only a handful of builds around
+        this.maxCacheSize = 8;
+        
+        // Modes above this frequency are covered by the diffuse tail
+        this.maxModalFrequency = 2500;
+    }
+    
+    /**
+     * Get the impulse response for a body, synthesizing it if it is not cached
+     * @param {Object} params - Body parameters (see createImpulseResponse)
+     * @returns {AudioBuffer} - Stereo impulse response
+     */
+    getImpulseResponse(params) {
+        const key = this.getCacheKey(params);
+        
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        
+        const impulseResponse = this.createImpulseResponse(params);
+        this.cache.set(key, impulseResponse);
+        
+        // Drop the oldest build once the cache is full
+        if (this.cache.size > this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        
+        return impulseResponse;
+    }
+    
+    /**
+     * Build a cache key from rounded body parameters
+     */
+    getCacheKey(params) {
+        return Object.keys(params).sort().map(name => {
+            const value = params[name];
+            return `${name}=${typeof value === 'number' ? value.toFixed(3) : value}`;
+        }).join('|');
+    }
+    
+    /**
+     * Synthesize a stereo body impulse response
+     * @param {Object} params
+     * @param {number} params.length - Body length in cm
+     * @param {number} params.width - Body width in cm
+     * @param {number} params.height - Body height in cm
+     * @param {number} params.lossFactor - Material loss factor (higher = more damping)
+     * @param {number} params.brightness - 0 (dark) to 1 (bright) spectral tilt
+     * @param {number} params.modalDensity - Multiplier on the number of modes per Hz
+     * @returns {AudioBuffer}
+     */
+    createImpulseResponse(params) {
+        const { length, width, height, lossFactor, brightness, modalDensity } = params;
+        const sampleRate = this.sampleRate;
+        
+        // Soundboard area in square metres sets the mode spacing (bigger board = denser modes)
+        const area = Math.max(0.2, (length / 100) * (width / 100));
+        const modeSpacing = 40 / (area * modalDensity);
+        
+        // A deeper case traps more air: longer, fuller decay
+        const depthFactor = 0.7 + height / 100;
+        
+        // Duration of the whole response: time for the lowest mode to decay by 60 dB
+        const lowestModeDecay = Math.min(2.5, 2.2 / (lossFactor * 60) * depthFactor);
+        const duration = Math.max(0.2, lowestModeDecay);
+        const frameCount = Math.ceil(duration * sampleRate);
+        
+        const impulseResponse = this.audioContext.createBuffer(2, frameCount, sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulseResponse.getChannelData(channel);
+            const random = SeededRandom.create(channel + 1);
+            
+            // Soundboard modes as decaying sinusoids
+            for (let frequency = 50 + random() * modeSpacing; frequency < this.maxModalFrequency; frequency += modeSpacing * (0.6 + random() * 0.8)) {
+                // Each mode rings for 2.2 / (loss * f) seconds
+                const decayTime = Math.min(duration, 2.2 / (lossFactor * frequency) * depthFactor);
+                const decayPerSample = Math.exp(-6.91 / (decayTime * sampleRate));
+                
+                // Spectral tilt: dark bodies favour the low modes
+                const tilt = Math.pow(frequency / 200, (brightness - 1) * 1.2);
+                const amplitude = tilt * (0.5 + random()) * (random() < 0.5 ? -1 : 1);
+                
+                // Rotate a phasor rather than calling Math.sin per sample
+                const step = 2 * Math.PI * frequency / sampleRate;
+                const cosStep = Math.cos(step);
+                const sinStep = Math.sin(step);
+                let re = 0;
+                let im = amplitude;
+                const modeLength = Math.min(frameCount, Math.ceil(decayTime * sampleRate));
+                
+                for (let i = 0; i < modeLength; i++) {
+                    data[i] += im;
+                    const nextRe = (re * cosStep - im * sinStep) * decayPerSample;
+                    im = (re * sinStep + im * cosStep) * decayPerSample;
+                    re = nextRe;
+                }
+            }
+            
+            // Diffuse tail for the upper range, lowpassed according to brightness
+            const tailDecay = Math.min(duration, 2.2 / (lossFactor * this.maxModalFrequency) * depthFactor * 3);
+            const tailDecayPerSample = Math.exp(-6.91 / (tailDecay * sampleRate));
+            const smoothing = 0.85 * (1 - brightness);
+            let envelope = 0.5;
+            let smoothed = 0;
+            
+            for (let i = 0; i < frameCount; i++) {
+                smoothed = smoothing * smoothed + (1 - smoothing) * (random() * 2 - 1);
+                data[i] += smoothed * envelope;
+                envelope *= tailDecayPerSample;
+            }
+            
+            // Short fade in so the direct sound is not doubled by the convolver
+            const fadeIn = Math.floor(0.002 * sampleRate);
+            for (let i = 0; i < fadeIn; i++) {
+                data[i] *= i / fadeIn;
+            }
+        }
+        
+        this.normalize(impulseResponse);
+        return impulseResponse;
+    }
+    
+    /**
+     * Scale an impulse response to unit energy so the wet level does not depend on size
+     */
+    normalize(impulseResponse) {
+        let energy = 0;
+        for (let channel = 0; channel < impulseResponse.numberOfChannels; channel++) {
+            const data = impulseResponse.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                energy += data[i] * data[i];
+            }
+        }
+        
+        const scale = energy > 0 ? 1 / Math.sqrt(energy / impulseResponse.numberOfChannels) : 1;
+        for (let channel = 0; channel < impulseResponse.numberOfChannels; channel++) {
+            const data = impulseResponse.getChannelData(channel);
+            for (let i = 0; i < data.length; i++) {
+                data[i] *= scale;
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BodyResonance;
+}
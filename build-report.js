@@ -0,0 +1,159 @@
+/**
+ * Build Report - Handles showing the acoustic profile of each build
+ *
+ * Lists the figures returned by PianoModel.buildPiano and marks the ones that
+ * moved since the previous build, so the effect of a change in dimensions or
+ * material can be read off as well as heard.
+ */
+class BuildReport {
+    /**
+     * @param {string|HTMLElement} container - Element the report is shown in, or its id
+     * @param {Object} options
+     * @param {Document} options.document - Document the report is built in (default: the page)
+     */
+    constructor(container, options = {}) {
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.container = typeof container === 'string' ?
+            (this.document ? this.document.getElementById(container) : null) : container;
+        
+        // Profile of the previous build, compared against the next one
+        this.previous = null;
+        
+        // Smallest changes worth marking: relative for times and frequencies, absolute for dB
+        this.relativeThreshold = 0.03;
+        this.decibelThreshold = 0.5;
+    }
+    
+    /**
+     * Show a new build's profile, marking what changed since the last one
+     * @param {Object} profile - Acoustic profile (see PianoModel.getAcousticProfile)
+     */
+    show(profile) {
+        const { rows, addedTags, removedTags } = this.compare(this.previous, profile);
+        this.previous = profile;
+        
+        if (!this.container) return;
+        
+        this.container.innerHTML = '';
+        
+        const heading = this.document.createElement('div');
+        heading.className = 'build-report-heading';
+        const { length, width, height } = profile.dimensions;
+        heading.textContent = `${profile.material}, ${length} × ${width} × ${height} cm`;
+        this.container.appendChild(heading);
+        
+        const table = this.document.createElement('table');
+        rows.forEach(row => {
+            const tr = this.document.createElement('tr');
+            tr.classList.toggle('changed', row.change !== null);
+            
+            const label = this.document.createElement('th');
+            label.textContent = row.label;
+            const value = this.document.createElement('td');
+            value.textContent = row.value;
+            const change = this.document.createElement('td');
+            change.className = 'build-report-change';
+            change.textContent = row.change || '';
+            
+            tr.append(label, value, change);
+            table.appendChild(tr);
+        });
+        this.container.appendChild(table);
+        
+        this.container.appendChild(this.createTagList(profile.tags, addedTags, removedTags));
+        this.container.hidden = false;
+    }
+    
+    /**
+     * Turn a profile into display rows, each with its change since the previous profile
+     * @param {Object|null} previous - Previous profile, or null for the first build
+     * @param {Object} profile - New profile
+     * @returns {Object} - { rows: [{ label, value, change (text, or null when unchanged) }],
+     *                     addedTags, removedTags }
+     */
+    compare(previous, profile) {
+        const hz = value => value >= 1000 ? `${(value / 1000).toFixed(2)} kHz` : `${value.toFixed(1)} Hz`;
+        const seconds = value => `${value.toFixed(1)} s`;
+        const decibels = value => `${value >= 0 ? '+' : ''}${value.toFixed(1)} dB`;
+        
+        const rows = [
+            this.createRow('Lowest fundamental', profile.lowestFundamental, previous && previous.lowestFundamental, hz)
+        ];
+        
+        profile.decay.forEach(({ register, midiNote, t60, clipped }) => {
+            const before = previous && previous.decay.find(entry => entry.midiNote === midiNote);
+            const row = this.createRow(`T60 ${register.toLowerCase()}`, t60, before ? before.t60 : null, seconds);
+            
+            // The note is cut off before it has fallen by 60 dB, so it rings at least this long
+            if (clipped) {
+                row.value = `≥ ${row.value} (clipped)`;
+            }
+            rows.push(row);
+        });
+        
+        rows.push(this.createRow('Brightness (centroid)', profile.brightness, previous && previous.brightness, hz));
+        rows.push(this.createRow('Loudness', profile.loudness, previous && previous.loudness, decibels, true));
+        
+        return {
+            rows,
+            addedTags: previous ? profile.tags.filter(tag => !previous.tags.includes(tag)) : [],
+            removedTags: previous ? previous.tags.filter(tag => !profile.tags.includes(tag)) : []
+        };
+    }
+    
+    /**
+     * Create one display row
+     * @param {string} label
+     * @param {number} value - New value
+     * @param {number|null} before - Previous value, or null if there is none
+     * @param {Function} format - Formats a value for display
+     * @param {boolean} isDecibels - Compare as a dB difference rather than a ratio
+     */
+    createRow(label, value, before, format, isDecibels = false) {
+        let change = null;
+        
+        if (before !== null && before !== undefined) {
+            if (isDecibels) {
+                const difference = value - before;
+                if (Math.abs(difference) >= this.decibelThreshold) {
+                    change = `${difference > 0 ? '▲' : '▼'} ${Math.abs(difference).toFixed(1)} dB (was ${format(before)})`;
+                }
+            } else if (before > 0) {
+                const ratio = value / before - 1;
+                if (Math.abs(ratio) >= this.relativeThreshold) {
+                    change = `${ratio > 0 ? '▲' : '▼'} ${Math.abs(ratio * 100).toFixed(0)}% (was ${format(before)})`;
+                }
+            }
+        }
+        
+        return { label, value: format(value), change };
+    }
+    
+    /**
+     * List the character tags, marking new ones and striking out the ones that went away
+     */
+    createTagList(tags, addedTags, removedTags) {
+        const list = this.document.createElement('div');
+        list.className = 'build-report-tags';
+        
+        tags.forEach(tag => {
+            const item = this.document.createElement('span');
+            item.className = 'build-report-tag';
+            item.classList.toggle('added', addedTags.includes(tag));
+            item.textContent = tag;
+            list.appendChild(item);
+        });
+        removedTags.forEach(tag => {
+            const item = this.document.createElement('span');
+            item.className = 'build-report-tag removed';
+            item.textContent = tag;
+            list.appendChild(item);
+        });
+        
+        return list;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BuildReport;
+}
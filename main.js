@@ -5,8 +5,8 @@ document.addEventListener('DOMContentLoaded', () => {
     // Create piano model (audio synthesis)
     const pianoModel = new PianoModel();
     
-    // Create piano UI (canvas visualization)
-    const pianoUI = new PianoUI('pianoCanvas');
+    // Create piano UI (canvas visualization), sharing the model's materials
+    const pianoUI = new PianoUI('pianoCanvas', pianoModel.materialRegistry);
     
     // Create MIDI controller
     const midiController = new MidiController(pianoModel);
@@ -15,18 +15,192 @@ document.addEventListener('DOMContentLoaded', () => {
     const materialSelector = document.getElementById('material');
     const buildButton = document.getElementById('buildButton');
     
+    // Blend controls: a second material mixed in by weight
+    const blendSelector = document.getElementById('blendMaterial');
+    const blendAmountSlider = document.getElementById('blendAmount');
+    const blendAmountDisplay = document.getElementById('blendAmountDisplay');
+    
+    // Fill the material selectors from the registry (built-in and custom materials),
+    // keeping the current choices where they still exist
+    const populateMaterialSelector = () => {
+        const registry = pianoModel.materialRegistry;
+        const selected = registry.has(materialSelector.value) ? materialSelector.value : registry.defaultId;
+        const blended = registry.has(blendSelector.value) ? blendSelector.value : '';
+        
+        materialSelector.innerHTML = '';
+        blendSelector.innerHTML = '<option value="">None</option>';
+        registry.getAll().forEach(material => {
+            const option = document.createElement('option');
+            option.value = material.id;
+            option.textContent = material.description ? `${material.name} (${material.description})` : material.name;
+            materialSelector.appendChild(option);
+            
+            const blendOption = document.createElement('option');
+            blendOption.value = material.id;
+            blendOption.textContent = material.name;
+            blendSelector.appendChild(blendOption);
+        });
+        
+        materialSelector.value = selected;
+        blendSelector.value = blended;
+    };
+    pianoModel.materialRegistry.addChangeListener(populateMaterialSelector);
+    
+    // Work out the material (a single id or a weighted mix) from the selectors
+    const getSelectedMaterial = () => {
+        const base = materialSelector.value;
+        const other = blendSelector.value;
+        const weight = blendAmountSlider.value / 100;
+        
+        if (!other || other === base || weight === 0) {
+            return base;
+        }
+        return { [base]: 1 - weight, [other]: weight };
+    };
+    
+    // Update both the model (for sound) and UI (for appearance)
+    const applyMaterial = () => {
+        const material = getSelectedMaterial();
+        pianoModel.setMaterial(material);
+        pianoUI.setMaterial(material);
+        updateButtonText();
+    };
+    
     // Initialize material selector
     materialSelector.value = pianoModel.material;
+    populateMaterialSelector();
     // Initialize UI material to match model
     pianoUI.setMaterial(pianoModel.material);
     
     // Add event listeners
-    materialSelector.addEventListener('change', () => {
-        const selectedMaterial = materialSelector.value;
-        // Update both the model (for sound) and UI (for appearance)
-        pianoModel.setMaterial(selectedMaterial);
-        pianoUI.setMaterial(selectedMaterial);
-        updateButtonText();
+    materialSelector.addEventListener('change', applyMaterial);
+    blendSelector.addEventListener('change', applyMaterial);
+    
+    // Redraw the blended finish while dragging; rebuild the sound once the slider is released
+    blendAmountSlider.addEventListener('input', () => {
+        blendAmountDisplay.textContent = `${blendAmountSlider.value}%`;
+        pianoUI.setMaterial(getSelectedMaterial());
+    });
+    blendAmountSlider.addEventListener('change', applyMaterial);
+    
+    // Custom material editor: a saved material is selected straight away; if the
+    // selected material was deleted, the selectors have already fallen back to the default
+    new MaterialEditor('materialEditor', pianoModel.materialRegistry, (materialId) => {
+        if (materialId) {
+            materialSelector.value = materialId;
+        }
+        applyMaterial();
+    });
+    
+    // Reference pitch and temperament apply from the next note on, like the other tuning options
+    const referencePitchInput = document.getElementById('referencePitch');
+    referencePitchInput.value = pianoModel.tuning.referencePitch;
+    referencePitchInput.addEventListener('change', () => {
+        const frequency = parseFloat(referencePitchInput.value);
+        if (frequency > 0) {
+            pianoModel.setReferencePitch(frequency);
+        }
+        // Show the pitch actually used (clamped to the supported range)
+        referencePitchInput.value = pianoModel.tuning.referencePitch;
+    });
+    
+    const temperamentSelector = document.getElementById('temperament');
+    const temperamentTonicSelector = document.getElementById('temperamentTonic');
+    
+    // Rebuilt when a Scala scale is loaded or cleared, since it adds its own entry
+    const populateTemperamentSelector = () => {
+        temperamentSelector.innerHTML = '';
+        pianoModel.tuning.getTemperaments().forEach(temperament => {
+            const option = document.createElement('option');
+            option.value = temperament.id;
+            option.textContent = temperament.name;
+            temperamentSelector.appendChild(option);
+        });
+        temperamentSelector.value = pianoModel.tuning.temperament;
+        temperamentTonicSelector.value = pianoModel.tuning.tonic;
+        
+        // A Scala scale fixes its own pitches, so the tonic does not apply
+        temperamentTonicSelector.disabled = pianoModel.tuning.temperament === 'scala';
+    };
+    populateTemperamentSelector();
+    
+    const applyTemperament = () => {
+        pianoModel.setTemperament(temperamentSelector.value, parseInt(temperamentTonicSelector.value));
+        temperamentTonicSelector.disabled = pianoModel.tuning.temperament === 'scala';
+        
+        // Key labels switch between note names and scale degrees
+        midiController.createVirtualKeyboard();
+    };
+    temperamentSelector.addEventListener('change', applyTemperament);
+    temperamentTonicSelector.addEventListener('change', applyTemperament);
+    
+    // Scala files: the scale (.scl) is loaded before the mapping (.kbm) so the two
+    // can be checked against each other; problems are shown, never ignored
+    const scalaFileInput = document.getElementById('scalaFile');
+    const tuningStatus = document.getElementById('tuningStatus');
+    const setTuningStatus = (message, isError = false) => {
+        tuningStatus.textContent = message;
+        tuningStatus.classList.toggle('error', isError);
+    };
+    
+    scalaFileInput.addEventListener('change', async () => {
+        const files = Array.from(scalaFileInput.files)
+            .sort((a, b) => (b.name.toLowerCase().endsWith('.scl') ? 1 : 0) - (a.name.toLowerCase().endsWith('.scl') ? 1 : 0));
+        const loaded = [];
+        const errors = [];
+        
+        for (const file of files) {
+            const name = file.name.toLowerCase();
+            try {
+                const text = await file.text();
+                if (name.endsWith('.scl')) {
+                    pianoModel.loadScala(text);
+                } else if (name.endsWith('.kbm')) {
+                    pianoModel.loadKeyboardMapping(text);
+                } else {
+                    throw new Error('Not a Scala file (expected .scl or .kbm)');
+                }
+                loaded.push(file.name);
+            } catch (e) {
+                errors.push(`${file.name}:\n${e.message}`);
+            }
+        }
+        
+        // Let the same file be chosen again after fixing it
+        scalaFileInput.value = '';
+        
+        populateTemperamentSelector();
+        midiController.createVirtualKeyboard();
+        
+        if (errors.length > 0) {
+            setTuningStatus(errors.join('\n'), true);
+        } else if (loaded.length > 0) {
+            const scale = pianoModel.tuning.scale;
+            setTuningStatus(scale ?
+                `Loaded ${loaded.join(', ')}: ${scale.cents.length} notes per ${scale.cents[scale.cents.length - 1].toFixed(1)} cents` :
+                `Loaded ${loaded.join(', ')}; it applies once a scale is loaded`);
+        }
+    });
+    
+    document.getElementById('clearScalaButton').addEventListener('click', () => {
+        pianoModel.clearScala();
+        populateTemperamentSelector();
+        midiController.createVirtualKeyboard();
+        setTuningStatus('');
+    });
+    
+    // Stretch tuning only affects notes struck from now on, so no rebuild is needed
+    const stretchTuningCheckbox = document.getElementById('stretchTuning');
+    stretchTuningCheckbox.checked = pianoModel.stretchTuning > 0;
+    stretchTuningCheckbox.addEventListener('change', () => {
+        pianoModel.setStretchTuning(stretchTuningCheckbox.checked ? 1 : 0);
+    });
+    
+    // Unison detune (beating) also applies from the next note on
+    const tuningConditionSlider = document.getElementById('tuningCondition');
+    tuningConditionSlider.value = Math.round(pianoModel.tuningCondition * 100);
+    tuningConditionSlider.addEventListener('input', () => {
+        pianoModel.setTuningCondition(tuningConditionSlider.value / 100);
     });
     
     // Listen for dimension changes in the piano UI
@@ -63,15 +237,21 @@ document.addEventListener('DOMContentLoaded', () => {
     const designPanel = document.querySelector('.design-panel');
     designPanel.parentNode.insertBefore(progressBarContainer, designPanel.nextSibling);
     
+    // Acoustic profile shown after each build
+    const buildReport = new BuildReport('buildReport');
+    
+    // Two stored builds the keyboard can be switched between
+    const abComparison = new ABComparison(pianoModel);
+    
     buildButton.addEventListener('click', () => {
         // Get current piano dimensions from UI
         const dimensions = pianoUI.getPianoParams();
         
-        // Update piano model with current dimensions
-        pianoModel.setDimensions(dimensions.length, dimensions.width, dimensions.height);
+        // Build the piano with them and report how it sounds, against the previous build
+        buildReport.show(pianoModel.buildWith(dimensions));
         
-        // Build the piano
-        pianoModel.buildPiano();
+        // A build of its own ends any A/B comparison (and takes the trim off the new build)
+        abComparison.deselect();
         
         // Visual feedback
         buildButton.textContent = 'Building...';
@@ -112,22 +292,351 @@ document.addEventListener('DOMContentLoaded', () => {
         }, interval);
     });
     
-    // Global safety measure - ensure all notes stop when mouse is released anywhere
-    document.addEventListener('mouseup', function() {
-        // Force stop any potentially stuck notes
-        pianoModel.stopAllNotes();
+    // Set the material selectors (and the drawn finish) to a material id or weighted mix
+    const showMaterial = (material) => {
+        if (typeof material === 'string') {
+            materialSelector.value = material;
+            blendSelector.value = '';
+        } else {
+            const [base, other] = Object.keys(material);
+            materialSelector.value = base;
+            blendSelector.value = other;
+            blendAmountSlider.value = Math.round(material[other] * 100);
+            blendAmountDisplay.textContent = `${blendAmountSlider.value}%`;
+        }
+        pianoUI.setMaterial(material);
+    };
+    
+    // A/B comparison: store the design in a slot, then switch with the button or the ` key
+    const abToggleButton = document.getElementById('abToggle');
+    const abLevelMatchCheckbox = document.getElementById('abLevelMatch');
+    const abBlindCheckbox = document.getElementById('abBlind');
+    const abStatus = document.getElementById('abStatus');
+    const abToggleKey = '`';
+    
+    const updateABStatus = (message) => {
+        const active = abComparison.active;
+        abToggleButton.disabled = !abComparison.isReady();
+        abToggleButton.textContent = abComparison.blind ? 'Switch X / Y' : 'Switch A / B';
+        abStatus.textContent = message || (active ? `Playing ${abComparison.getLabel(active)}` : '');
+    };
+    
+    // Show the design of the slot that is playing (kept hidden in blind mode)
+    const showActiveSlot = () => {
+        const build = abComparison.slots[abComparison.active];
+        if (!build || abComparison.blind) return;
+        
+        pianoUI.setPianoParams(build.dimensions);
+        showMaterial(build.material);
+    };
+    
+    const switchAB = () => {
+        if (!abComparison.isReady()) return;
+        
+        const profile = abComparison.toggle();
+        showActiveSlot();
+        if (!abComparison.blind) {
+            buildReport.show(profile);
+        }
+        
+        pianoContainer.style.display = 'block';
+        pianoPreviouslyBuilt = true;
+        buildButton.textContent = 'Rebuild';
+        updateABStatus();
+    };
+    
+    document.querySelectorAll('[data-store-slot]').forEach(button => {
+        button.addEventListener('click', () => {
+            const slot = button.dataset.storeSlot;
+            abComparison.storeSlot(slot, { dimensions: pianoUI.getPianoParams(), material: getSelectedMaterial() });
+            updateABStatus(`Stored the current design as ${slot}`);
+        });
+    });
+    
+    abToggleButton.addEventListener('click', switchAB);
+    document.addEventListener('keydown', (e) => {
+        if (e.key !== abToggleKey || e.repeat || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+        e.preventDefault();
+        switchAB();
+    });
+    
+    abLevelMatchCheckbox.checked = abComparison.levelMatching;
+    abLevelMatchCheckbox.addEventListener('change', () => {
+        abComparison.setLevelMatching(abLevelMatchCheckbox.checked);
+    });
+    
+    abBlindCheckbox.addEventListener('change', () => {
+        if (abBlindCheckbox.checked) {
+            abComparison.setBlind(true);
+            updateABStatus();
+            return;
+        }
+        
+        const answer = abComparison.reveal();
+        showActiveSlot();
+        updateABStatus(`X was ${answer.X}, Y was ${answer.Y}` + (abComparison.active ? ` - playing ${abComparison.active}` : ''));
+    });
+    updateABStatus();
+    
+    // Polyphony limit: beyond it the model steals the weakest note
+    const maxPolyphonySelector = document.getElementById('maxPolyphony');
+    maxPolyphonySelector.value = pianoModel.maxPolyphony;
+    maxPolyphonySelector.addEventListener('change', () => {
+        pianoModel.setMaxPolyphony(parseInt(maxPolyphonySelector.value));
+    });
+    
+    // Pitch bend range and the parameter the mod wheel drives; the on-screen wheel follows CC1
+    const pitchBendRangeSelector = document.getElementById('pitchBendRange');
+    pitchBendRangeSelector.value = pianoModel.pitchBendRange;
+    pitchBendRangeSelector.addEventListener('change', () => {
+        pianoModel.setPitchBendRange(parseInt(pitchBendRangeSelector.value));
+    });
+    
+    const modWheelDestinationSelector = document.getElementById('modWheelDestination');
+    pianoModel.getModWheelDestinations().forEach(destination => {
+        const option = document.createElement('option');
+        option.value = destination.id;
+        option.textContent = destination.name;
+        modWheelDestinationSelector.appendChild(option);
+    });
+    modWheelDestinationSelector.value = pianoModel.modWheelDestination;
+    modWheelDestinationSelector.addEventListener('change', () => {
+        pianoModel.setModWheelDestination(modWheelDestinationSelector.value);
+    });
+    
+    const modWheelSlider = document.getElementById('modWheel');
+    modWheelSlider.addEventListener('input', () => {
+        midiController.setModWheel(parseInt(modWheelSlider.value) / 127);
+    });
+    midiController.onModWheelChange = (value) => {
+        modWheelSlider.value = Math.round(value * 127);
+    };
+    
+    // Channel and poly aftertouch share one destination and depth
+    const aftertouchDestinationSelector = document.getElementById('aftertouchDestination');
+    pianoModel.getAftertouchDestinations().forEach(destination => {
+        const option = document.createElement('option');
+        option.value = destination.id;
+        option.textContent = destination.name;
+        aftertouchDestinationSelector.appendChild(option);
+    });
+    aftertouchDestinationSelector.value = pianoModel.aftertouchDestination;
+    aftertouchDestinationSelector.addEventListener('change', () => {
+        pianoModel.setAftertouchDestination(aftertouchDestinationSelector.value);
+    });
+    
+    const aftertouchDepthSlider = document.getElementById('aftertouchDepth');
+    aftertouchDepthSlider.value = Math.round(pianoModel.aftertouchDepth * 100);
+    aftertouchDepthSlider.addEventListener('input', () => {
+        pianoModel.setAftertouchDepth(parseInt(aftertouchDepthSlider.value) / 100);
     });
     
-    // Set up a global safety mechanism to periodically check for and clean up any stuck notes
+    // Damper thunk and key-return knock mix
+    const releaseNoiseSlider = document.getElementById('releaseNoise');
+    releaseNoiseSlider.value = pianoModel.releaseNoiseLevel * 100;
+    releaseNoiseSlider.addEventListener('input', () => {
+        pianoModel.setReleaseNoiseLevel(parseInt(releaseNoiseSlider.value) / 100);
+    });
+    
+    // Rebuilding never cuts ringing notes; with a glide they also morph into the new build
+    const glideTimeSlider = document.getElementById('glideTime');
+    const glideTimeDisplay = document.getElementById('glideTimeDisplay');
+    glideTimeSlider.value = pianoModel.glideTime * 1000;
+    const updateGlideTime = () => {
+        pianoModel.setGlideTime(parseInt(glideTimeSlider.value) / 1000);
+        glideTimeDisplay.textContent = pianoModel.glideTime > 0 ? `${pianoModel.glideTime.toFixed(1)} s` : 'off';
+    };
+    glideTimeSlider.addEventListener('input', updateGlideTime);
+    updateGlideTime();
+    
+    // Show the voice count and CPU pressure (notes free themselves when their strings end)
+    const voiceStatus = document.getElementById('voiceStatus');
+    const cpuStatus = document.getElementById('cpuStatus');
     setInterval(() => {
-        if (Object.keys(pianoModel.activeNotes).length > 0) {
-            console.log('Safety check: Found active notes:', Object.keys(pianoModel.activeNotes).length);
+        const stats = pianoModel.getVoiceStats();
+        voiceStatus.textContent = `Voices: ${stats.voices} / ${stats.maxPolyphony}`;
+        cpuStatus.textContent = `${stats.measured ? 'CPU' : 'Load (est.)'}: ${Math.round(stats.cpuLoad * 100)}%`;
+        cpuStatus.classList.toggle('high', stats.cpuLoad >= 0.8);
+    }, 250);
+    
+    // Velocity: the curve every note passes through, and the level of inputs without velocity sensing
+    const velocityCurve = midiController.velocityCurve;
+    const velocityCurveSelector = document.getElementById('velocityCurve');
+    const fixedVelocityInput = document.getElementById('fixedVelocity');
+    const fixedVelocityLabel = document.getElementById('fixedVelocityLabel');
+    velocityCurve.getCurves().forEach(curve => {
+        const option = document.createElement('option');
+        option.value = curve.id;
+        option.textContent = curve.name;
+        velocityCurveSelector.appendChild(option);
+    });
+    
+    const showVelocityCurve = () => {
+        velocityCurveSelector.value = velocityCurve.curve;
+        fixedVelocityInput.value = velocityCurve.fixedVelocity;
+        fixedVelocityLabel.style.display = velocityCurve.curve === 'fixed' ? '' : 'none';
+    };
+    
+    // Drawing on the editor switches to the custom curve
+    const velocityCurveEditor = new VelocityCurveEditor('velocityCurveEditor', velocityCurve, showVelocityCurve);
+    showVelocityCurve();
+    
+    velocityCurveSelector.addEventListener('change', () => {
+        velocityCurve.setCurve(velocityCurveSelector.value);
+        showVelocityCurve();
+        velocityCurveEditor.draw();
+    });
+    fixedVelocityInput.addEventListener('input', () => {
+        velocityCurve.setFixedVelocity(parseFloat(fixedVelocityInput.value));
+        velocityCurveEditor.draw();
+    });
+    
+    const velocitySliders = {};
+    document.querySelectorAll('[data-velocity-source]').forEach(slider => {
+        const source = slider.dataset.velocitySource;
+        const display = slider.nextElementSibling;
+        velocitySliders[source] = { slider, display };
+        
+        slider.value = midiController.defaultVelocities[source];
+        display.textContent = Math.round(midiController.defaultVelocities[source] * 127);
+        slider.addEventListener('input', () => midiController.setDefaultVelocity(source, parseFloat(slider.value)));
+    });
+    
+    // Also follows the - and = keys
+    midiController.onDefaultVelocityChange = (source, velocity) => {
+        velocitySliders[source].slider.value = velocity;
+        velocitySliders[source].display.textContent = Math.round(velocity * 127);
+    };
+    
+    // Listener perspective changes the stereo image, level and tone straight away
+    const perspectiveSelector = document.getElementById('perspective');
+    pianoModel.getPerspectives().forEach(perspective => {
+        const option = document.createElement('option');
+        option.value = perspective.id;
+        option.textContent = perspective.name;
+        perspectiveSelector.appendChild(option);
+    });
+    perspectiveSelector.value = pianoModel.perspective;
+    perspectiveSelector.addEventListener('change', () => {
+        pianoModel.setPerspective(perspectiveSelector.value);
+    });
+    
+    // Master effects: checkboxes switch an effect on (unchecked bypasses it), sliders set its parameters
+    const masterBus = pianoModel.masterBus;
+    const effectSettings = masterBus.getSettings();
+    const effectSetters = {
+        eq: (param, value) => masterBus.setEq({ [param]: value }),
+        reverb: (param, value) => masterBus.setReverb({ [param]: value }),
+        compressor: (param, value) => masterBus.setCompressor({ [param]: value }),
+        limiter: (param, value) => masterBus.setLimiterCeiling(value)
+    };
+    
+    document.querySelectorAll('[data-bypass]').forEach(checkbox => {
+        const effect = checkbox.dataset.bypass;
+        checkbox.checked = !effectSettings[effect].bypassed;
+        checkbox.addEventListener('change', () => masterBus.setBypass(effect, !checkbox.checked));
+    });
+    
+    document.querySelectorAll('[data-effect]').forEach(slider => {
+        const { effect, param } = slider.dataset;
+        slider.value = effectSettings[effect][param];
+        
+        // On release rather than while dragging: a new reverb size means a new impulse response
+        slider.addEventListener('change', () => effectSetters[effect](param, parseFloat(slider.value)));
+    });
+    
+    // Output meter: peak bars on a -48 to 0 dBFS scale with a falling peak hold
+    const meterFills = [document.getElementById('meterLeft'), document.getElementById('meterRight')];
+    const meterHolds = [document.getElementById('meterLeftHold'), document.getElementById('meterRightHold')];
+    const meterReduction = document.getElementById('meterReduction');
+    const toMeterPercent = (level) => {
+        const decibels = 20 * Math.log10(Math.max(level, 1e-6));
+        return Math.max(0, Math.min(100, (decibels + 48) / 48 * 100));
+    };
+    
+    const updateMeter = () => {
+        const levels = masterBus.getMeterLevels();
+        meterFills.forEach((fill, channel) => {
+            fill.style.width = `${toMeterPercent(levels.peak[channel])}%`;
+            fill.classList.toggle('clipping', levels.clipping);
+        });
+        meterHolds.forEach((hold, channel) => {
+            hold.style.left = `${toMeterPercent(levels.hold[channel])}%`;
+        });
+        meterReduction.textContent = `GR ${levels.reduction.toFixed(1)} dB`;
+        requestAnimationFrame(updateMeter);
+    };
+    requestAnimationFrame(updateMeter);
+    
+    // Spectrum analyzer only draws while its panel is open
+    const spectrumPanel = new SpectrumPanel('spectrumPanel', pianoModel);
+    const spectrumDetails = document.getElementById('spectrumDetails');
+    spectrumDetails.addEventListener('toggle', () => {
+        if (spectrumDetails.open) {
+            spectrumPanel.start();
+        } else {
+            spectrumPanel.stop();
+        }
+    });
+    
+    // Record a performance from any input, then render it (or a test note/chord) offline to WAV
+    const recordButton = document.getElementById('recordButton');
+    const exportSource = document.getElementById('exportSource');
+    const exportBitDepth = document.getElementById('exportBitDepth');
+    const exportButton = document.getElementById('exportButton');
+    const exportStatus = document.getElementById('exportStatus');
+    let recordedPerformance = [];
+    
+    recordButton.addEventListener('click', () => {
+        if (midiController.recording) {
+            recordedPerformance = midiController.stopRecording();
+            recordButton.textContent = 'Record';
+            recordButton.classList.remove('recording');
+            exportStatus.textContent = `Recorded ${recordedPerformance.filter(event => event.note !== undefined).length} notes`;
+        } else {
+            midiController.startRecording();
+            recordButton.textContent = 'Stop';
+            recordButton.classList.add('recording');
+            exportStatus.textContent = 'Recording...';
+        }
+    });
+    
+    exportButton.addEventListener('click', async () => {
+        let events;
+        switch (exportSource.value) {
+            case 'note':
+                events = [{ note: 60, velocity: 0.7, duration: 2 }];
+                break;
+            case 'chord':
+                events = [60, 64, 67].map(note => ({ note, velocity: 0.7, duration: 2 }));
+                break;
+            case 'performance':
+            default:
+                events = recordedPerformance;
+        }
+        
+        exportButton.disabled = true;
+        exportStatus.textContent = 'Rendering...';
+        
+        try {
+            const blob = await pianoModel.renderToWav(events, parseInt(exportBitDepth.value));
             
-            // Force stop all notes that might be stuck
-            Object.keys(pianoModel.activeNotes).forEach(midiNote => {
-                pianoModel.forceStopNote(parseInt(midiNote));
-                console.warn(`Safety mechanism: Force stopped note ${midiNote}`);
-            });
+            // Download through a temporary link
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `imagine-keys-${exportSource.value}.wav`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+            exportStatus.textContent = `Exported ${(blob.size / 1024 / 1024).toFixed(1)} MB`;
+        } catch (e) {
+            console.error('Export failed:', e);
+            exportStatus.textContent = `Export failed: ${e.message}`;
+        } finally {
+            exportButton.disabled = false;
         }
-    }, 5000); // Check every 5 seconds
+    });
 });
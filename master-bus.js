@@ -0,0 +1,384 @@
+/**
+ * Master Bus - Handles the output chain after the piano's master gain
+ *
+ * EQ -> room reverb -> compressor -> brick-wall limiter -> meter -> speakers.
+ * The chain is created once with the audio context and is not touched by
+ * rebuilds; each effect can be bypassed on its own.
+ */
+class MasterBus {
+    /**
+     * @param {BaseAudioContext} audioContext - Context to create the nodes in
+     * @param {Object} settings - Initial settings (see getSettings), defaults for anything missing
+     */
+    constructor(audioContext, settings = {}) {
+        this.audioContext = audioContext;
+        
+        // Effects in signal order
+        this.effectOrder = ['eq', 'reverb', 'compressor', 'limiter'];
+        
+        this.settings = {
+            eq: { bypassed: false, low: 0, mid: 0, high: 0 },
+            reverb: { bypassed: true, size: 0.5, damping: 0.5, mix: 0.2 },
+            compressor: { bypassed: false, threshold: -18, ratio: 3, makeup: 0 },
+            limiter: { bypassed: false, ceiling: -1 }
+        };
+        this.effectOrder.forEach(name => Object.assign(this.settings[name], settings[name]));
+        
+        // Everything that reaches the master bus comes in here
+        this.input = audioContext.createGain();
+        
+        this.effects = {
+            eq: this.createEq(),
+            reverb: this.createReverb(),
+            compressor: this.createCompressor(),
+            limiter: this.createLimiter()
+        };
+        
+        // Meter taps the final output, one analyser per channel
+        this.output = audioContext.createGain();
+        this.output.connect(audioContext.destination);
+        
+        const splitter = audioContext.createChannelSplitter(2);
+        this.output.connect(splitter);
+        this.meters = [0, 1].map(channel => {
+            const analyser = audioContext.createAnalyser();
+            analyser.fftSize = 2048;
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.meterData = new Float32Array(this.meters[0].fftSize);
+        
+        // Peak hold per channel, and when the output last hit the ceiling
+        this.peakHold = [0, 0];
+        this.lastClipTime = -Infinity;
+        
+        this.applySettings();
+        this.connectChain();
+    }
+    
+    /**
+     * Create the three-band EQ: low shelf, mid peak and high shelf
+     * @returns {Object} - { input, output, low, mid, high }
+     */
+    createEq() {
+        const low = this.audioContext.createBiquadFilter();
+        low.type = 'lowshelf';
+        low.frequency.value = 200;
+        
+        const mid = this.audioContext.createBiquadFilter();
+        mid.type = 'peaking';
+        mid.frequency.value = 1000;
+        mid.Q.value = 0.8;
+        
+        const high = this.audioContext.createBiquadFilter();
+        high.type = 'highshelf';
+        high.frequency.value = 4000;
+        
+        low.connect(mid);
+        mid.connect(high);
+        
+        return { input: low, output: high, low, mid, high };
+    }
+    
+    /**
+     * Create the room reverb: a dry path and a convolver with a synthesized room
+     * @returns {Object} - { input, output, convolver, dry, wet }
+     */
+    createReverb() {
+        const input = this.audioContext.createGain();
+        const output = this.audioContext.createGain();
+        
+        const dry = this.audioContext.createGain();
+        const wet = this.audioContext.createGain();
+        const convolver = this.audioContext.createConvolver();
+        
+        input.connect(dry);
+        input.connect(convolver);
+        convolver.connect(wet);
+        dry.connect(output);
+        wet.connect(output);
+        
+        return { input, output, convolver, dry, wet, impulseKey: null };
+    }
+    
+    /**
+     * Create the bus compressor that glues stacked chords together
+     * @returns {Object} - { input, output, compressor }
+     */
+    createCompressor() {
+        const compressor = this.audioContext.createDynamicsCompressor();
+        compressor.knee.value = 6;
+        compressor.attack.value = 0.01;
+        compressor.release.value = 0.25;
+        
+        // Makeup gain for the level the compressor takes away (none by default, so
+        // quiet playing is not pushed into the limiter)
+        const makeup = this.audioContext.createGain();
+        compressor.connect(makeup);
+        
+        return { input: compressor, output: makeup, compressor, makeup };
+    }
+    
+    /**
+     * Create the brick-wall limiter
+     *
+     * A fast, hard-kneed compressor does the limiting; a clipper set at the
+     * ceiling catches the few samples that get through during its attack.
+     *
+     * @returns {Object} - { input, output, compressor, clipper }
+     */
+    createLimiter() {
+        const compressor = this.audioContext.createDynamicsCompressor();
+        compressor.knee.value = 0;
+        compressor.ratio.value = 20;
+        compressor.attack.value = 0.001;
+        compressor.release.value = 0.05;
+        
+        const clipper = this.audioContext.createWaveShaper();
+        compressor.connect(clipper);
+        
+        return { input: compressor, output: clipper, compressor, clipper };
+    }
+    
+    /**
+     * Wire the input through every effect that is not bypassed
+     */
+    connectChain() {
+        this.input.disconnect();
+        this.effectOrder.forEach(name => this.effects[name].output.disconnect());
+        
+        let previous = this.input;
+        this.effectOrder.forEach(name => {
+            if (!this.settings[name].bypassed) {
+                previous.connect(this.effects[name].input);
+                previous = this.effects[name].output;
+            }
+        });
+        previous.connect(this.output);
+    }
+    
+    /**
+     * Push the current settings into the audio nodes
+     */
+    applySettings() {
+        const { eq, reverb, compressor, limiter } = this.settings;
+        
+        this.effects.eq.low.gain.value = eq.low;
+        this.effects.eq.mid.gain.value = eq.mid;
+        this.effects.eq.high.gain.value = eq.high;
+        
+        // Equal-power dry/wet mix
+        this.effects.reverb.dry.gain.value = Math.cos(reverb.mix * Math.PI / 2);
+        this.effects.reverb.wet.gain.value = Math.sin(reverb.mix * Math.PI / 2);
+        this.updateReverbImpulse();
+        
+        this.effects.compressor.compressor.threshold.value = compressor.threshold;
+        this.effects.compressor.compressor.ratio.value = compressor.ratio;
+        
+        this.effects.compressor.makeup.gain.value = Math.pow(10, compressor.makeup / 20);
+        
+        this.effects.limiter.compressor.threshold.value = limiter.ceiling - 2;
+        this.effects.limiter.clipper.curve = this.createClipperCurve(Math.pow(10, limiter.ceiling / 20));
+    }
+    
+    /**
+     * Synthesize a new room impulse response if the size or damping changed
+     */
+    updateReverbImpulse() {
+        const { size, damping } = this.settings.reverb;
+        const key = `${size.toFixed(3)}|${damping.toFixed(3)}`;
+        if (this.effects.reverb.impulseKey === key) return;
+        
+        this.effects.reverb.convolver.buffer = this.createRoomImpulse(size, damping);
+        this.effects.reverb.impulseKey = key;
+    }
+    
+    /**
+     * Synthesize a room impulse response
+     *
+     * Decorrelated noise per channel with an exponential decay; damping darkens
+     * the tail as it decays, the way air and soft furnishings absorb highs first.
+     *
+     * @param {number} size - 0 (small room, 0.4 s) to 1 (hall, 4 s)
+     * @param {number} damping - 0 (bright) to 1 (dark)
+     * @returns {AudioBuffer} - Stereo impulse response
+     */
+    createRoomImpulse(size, damping) {
+        const sampleRate = this.audioContext.sampleRate;
+        const decayTime = 0.4 + size * 3.6;
+        const length = Math.ceil(decayTime * sampleRate);
+        const buffer = this.audioContext.createBuffer(2, length, sampleRate);
+        
+        // Sparse early reflections arrive later in larger rooms
+        const preDelay = Math.floor((0.005 + size * 0.025) * sampleRate);
+        
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            const random = SeededRandom.create(channel + 1);
+            let smoothed = 0;
+            
+            for (let i = preDelay; i < length; i++) {
+                const t = (i - preDelay) / sampleRate;
+                const envelope = Math.exp(-6.91 * t / decayTime);
+                
+                // One-pole lowpass that closes as the tail decays
+                const smoothing = Math.min(0.95, damping * (0.2 + 0.8 * t / decayTime));
+                smoothed = smoothing * smoothed + (1 - smoothing) * (random() * 2 - 1);
+                data[i] = smoothed * envelope;
+            }
+        }
+        
+        // Keep the wet level comparable between room sizes
+        const scale = 1 / Math.sqrt(decayTime * sampleRate * 0.1);
+        for (let channel = 0; channel < 2; channel++) {
+            const data = buffer.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] *= scale;
+            }
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Create a waveshaper curve that passes the signal untouched up to the ceiling
+     * @param {number} ceiling - Linear ceiling, 0 to 1
+     * @returns {Float32Array}
+     */
+    createClipperCurve(ceiling) {
+        const samples = 4096;
+        const curve = new Float32Array(samples);
+        for (let i = 0; i < samples; i++) {
+            const x = (i * 2) / (samples - 1) - 1;
+            curve[i] = Math.max(-ceiling, Math.min(ceiling, x));
+        }
+        return curve;
+    }
+    
+    /**
+     * Bypass or enable an effect
+     * @param {string} name - 'eq', 'reverb', 'compressor' or 'limiter'
+     * @param {boolean} bypassed
+     */
+    setBypass(name, bypassed) {
+        if (!this.settings[name]) {
+            throw new Error(`Unknown master effect "${name}"`);
+        }
+        
+        this.settings[name].bypassed = !!bypassed;
+        this.connectChain();
+    }
+    
+    /**
+     * Set the EQ gains
+     * @param {Object} gains - { low, mid, high } in dB, -12 to +12
+     */
+    setEq(gains) {
+        this.updateSettings('eq', gains, -12, 12);
+    }
+    
+    /**
+     * Set the room reverb
+     * @param {Object} reverb - { size, damping, mix }, each 0 to 1
+     */
+    setReverb(reverb) {
+        this.updateSettings('reverb', reverb, 0, 1);
+    }
+    
+    /**
+     * Set the compressor
+     * @param {Object} compressor - { threshold } in dB (-40 to 0), { ratio } (1 to 20),
+     *                              { makeup } gain in dB (0 to 12)
+     */
+    setCompressor(compressor) {
+        const { threshold, ratio, makeup } = compressor;
+        if (threshold !== undefined) {
+            this.settings.compressor.threshold = Math.max(-40, Math.min(0, threshold));
+        }
+        if (ratio !== undefined) {
+            this.settings.compressor.ratio = Math.max(1, Math.min(20, ratio));
+        }
+        if (makeup !== undefined) {
+            this.settings.compressor.makeup = Math.max(0, Math.min(12, makeup));
+        }
+        this.applySettings();
+    }
+    
+    /**
+     * Set the limiter ceiling
+     * @param {number} ceiling - Ceiling in dBFS, -12 to 0
+     */
+    setLimiterCeiling(ceiling) {
+        this.settings.limiter.ceiling = Math.max(-12, Math.min(0, ceiling));
+        this.applySettings();
+    }
+    
+    /**
+     * Copy the given numeric values into an effect's settings, clamped
+     */
+    updateSettings(name, values, min, max) {
+        Object.keys(values).forEach(key => {
+            if (key in this.settings[name] && key !== 'bypassed') {
+                this.settings[name][key] = Math.max(min, Math.min(max, values[key]));
+            }
+        });
+        this.applySettings();
+    }
+    
+    /**
+     * Get a copy of the current settings, e.g. to recreate the bus offline
+     * @returns {Object} - { eq, reverb, compressor, limiter }
+     */
+    getSettings() {
+        return JSON.parse(JSON.stringify(this.settings));
+    }
+    
+    /**
+     * Read the output level for the meter
+     * @returns {Object} - { peak: [l, r], rms: [l, r], hold: [l, r] } linear 0 to 1,
+     *                     { reduction } in dB and { clipping } if the ceiling was hit recently
+     */
+    getMeterLevels() {
+        const peak = [];
+        const rms = [];
+        
+        this.meters.forEach((analyser, channel) => {
+            analyser.getFloatTimeDomainData(this.meterData);
+            
+            let max = 0;
+            let sum = 0;
+            for (let i = 0; i < this.meterData.length; i++) {
+                const value = Math.abs(this.meterData[i]);
+                max = Math.max(max, value);
+                sum += value * value;
+            }
+            peak.push(max);
+            rms.push(Math.sqrt(sum / this.meterData.length));
+            
+            // Hold peaks briefly, then let them fall
+            this.peakHold[channel] = Math.max(max, this.peakHold[channel] * 0.95);
+        });
+        
+        // Without the limiter, anything at full scale is clipping at the speakers
+        const ceiling = this.settings.limiter.bypassed ? 1 : Math.pow(10, this.settings.limiter.ceiling / 20);
+        if (Math.max(...peak) >= ceiling * 0.999) {
+            this.lastClipTime = this.audioContext.currentTime;
+        }
+        
+        const reduction = this.effectOrder
+            .filter(name => (name === 'compressor' || name === 'limiter') && !this.settings[name].bypassed)
+            .reduce((total, name) => total + this.effects[name].compressor.reduction, 0);
+        
+        return {
+            peak,
+            rms,
+            hold: this.peakHold.slice(),
+            reduction,
+            clipping: this.audioContext.currentTime - this.lastClipTime < 1
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MasterBus;
+}
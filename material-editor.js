@@ -0,0 +1,298 @@
+/**
+ * Material Editor - Handles creating, tweaking and saving custom materials
+ *
+ * The form is generated from the MaterialRegistry field descriptions, so new
+ * schema fields show up here without extra markup.
+ */
+class MaterialEditor {
+    /**
+     * @param {string} containerId - Id of the element the editor is built in
+     * @param {MaterialRegistry} registry - Where materials are read from and saved to
+     * @param {Function} onChange - Called with the id of a saved material, or null after a delete
+     * @param {Object} options
+     * @param {Document} options.document - Document the form is built in (default: the page)
+     */
+    constructor(containerId, registry, onChange, options = {}) {
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.container = this.document ? this.document.getElementById(containerId) : null;
+        this.registry = registry;
+        this.onChange = onChange;
+        
+        // Working copy of the material being edited
+        this.material = null;
+        
+        // Form inputs by field path
+        this.inputs = {};
+        
+        if (!this.container) return;
+        
+        this.createForm();
+        this.registry.addChangeListener(() => this.populateBaseSelector());
+        this.load(this.registry.defaultId);
+    }
+    
+    /**
+     * Build the editor form
+     */
+    createForm() {
+        const header = this.document.createElement('div');
+        header.className = 'editor-row';
+        
+        this.baseSelector = this.document.createElement('select');
+        this.baseSelector.addEventListener('change', () => this.load(this.baseSelector.value));
+        header.appendChild(this.createLabel('Edit', this.baseSelector));
+        
+        this.nameInput = this.document.createElement('input');
+        this.nameInput.type = 'text';
+        header.appendChild(this.createLabel('Name', this.nameInput));
+        
+        this.descriptionInput = this.document.createElement('input');
+        this.descriptionInput.type = 'text';
+        header.appendChild(this.createLabel('Description', this.descriptionInput));
+        
+        this.container.appendChild(header);
+        
+        // Numeric parameters as sliders with their current value
+        const fields = this.document.createElement('div');
+        fields.className = 'editor-fields';
+        
+        this.registry.getNumericFields().forEach(field => {
+            const input = this.document.createElement('input');
+            input.type = 'range';
+            input.min = field.min;
+            input.max = field.max;
+            input.step = field.step;
+            
+            const value = this.document.createElement('span');
+            value.className = 'editor-value';
+            input.addEventListener('input', () => {
+                value.textContent = input.value;
+            });
+            
+            const label = this.createLabel(field.label, input);
+            label.appendChild(value);
+            fields.appendChild(label);
+            this.inputs[field.path] = { input, value };
+        });
+        
+        this.registry.getChoiceFields().forEach(field => {
+            const input = this.document.createElement('select');
+            field.options.forEach(option => {
+                const element = this.document.createElement('option');
+                element.value = option;
+                element.textContent = option;
+                input.appendChild(element);
+            });
+            
+            fields.appendChild(this.createLabel(field.label, input));
+            this.inputs[field.path] = { input };
+        });
+        
+        this.container.appendChild(fields);
+        
+        // Finish colour stops (rebuilt for each material, which may have a different number)
+        this.finishRow = this.document.createElement('div');
+        this.finishRow.className = 'editor-row';
+        this.container.appendChild(this.finishRow);
+        
+        // Actions
+        const actions = this.document.createElement('div');
+        actions.className = 'editor-row';
+        
+        this.saveNewButton = this.createButton('Save as new', () => this.saveAsNew());
+        this.saveButton = this.createButton('Save changes', () => this.saveChanges());
+        this.deleteButton = this.createButton('Delete', () => this.deleteMaterial());
+        actions.appendChild(this.saveNewButton);
+        actions.appendChild(this.saveButton);
+        actions.appendChild(this.deleteButton);
+        
+        this.statusElement = this.document.createElement('div');
+        this.statusElement.className = 'editor-status';
+        actions.appendChild(this.statusElement);
+        
+        this.container.appendChild(actions);
+        
+        this.populateBaseSelector();
+    }
+    
+    /**
+     * Wrap an input in a label
+     */
+    createLabel(text, input) {
+        const label = this.document.createElement('label');
+        label.appendChild(this.document.createTextNode(text));
+        label.appendChild(input);
+        return label;
+    }
+    
+    /**
+     * Create an action button
+     */
+    createButton(text, onClick) {
+        const button = this.document.createElement('button');
+        button.type = 'button';
+        button.className = 'editor-button';
+        button.textContent = text;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+    
+    /**
+     * Fill the material selector from the registry, keeping the current choice
+     */
+    populateBaseSelector() {
+        const current = this.baseSelector.value;
+        this.baseSelector.innerHTML = '';
+        
+        this.registry.getAll().forEach(material => {
+            const option = this.document.createElement('option');
+            option.value = material.id;
+            option.textContent = material.builtIn ? material.name : `${material.name} (custom)`;
+            this.baseSelector.appendChild(option);
+        });
+        
+        if (this.registry.has(current)) {
+            this.baseSelector.value = current;
+        }
+    }
+    
+    /**
+     * Load a material into the form
+     * @param {string} id - Material id
+     */
+    load(id) {
+        this.material = JSON.parse(JSON.stringify(this.registry.get(id)));
+        this.baseSelector.value = this.material.id;
+        this.nameInput.value = this.material.name;
+        this.descriptionInput.value = this.material.description || '';
+        
+        Object.keys(this.inputs).forEach(path => {
+            const { input, value } = this.inputs[path];
+            input.value = this.registry.getValue(this.material, path);
+            if (value) {
+                value.textContent = input.value;
+            }
+        });
+        
+        this.createFinishInputs();
+        
+        // Built-in materials can only be copied
+        this.saveButton.disabled = this.material.builtIn;
+        this.deleteButton.disabled = this.material.builtIn;
+        this.setStatus('');
+    }
+    
+    /**
+     * Create a colour and opacity input for each finish stop
+     */
+    createFinishInputs() {
+        this.finishRow.innerHTML = '';
+        this.finishInputs = this.material.finish.stops.map((stop, i) => {
+            const color = this.document.createElement('input');
+            color.type = 'color';
+            color.value = stop.color;
+            
+            const alpha = this.document.createElement('input');
+            alpha.type = 'range';
+            alpha.min = 0;
+            alpha.max = 1;
+            alpha.step = 0.05;
+            alpha.value = stop.alpha;
+            
+            const label = this.createLabel(`Finish ${i + 1}`, color);
+            label.appendChild(alpha);
+            this.finishRow.appendChild(label);
+            
+            return { color, alpha };
+        });
+    }
+    
+    /**
+     * Copy the form values into the working material
+     * @returns {Object} - The working material
+     */
+    readForm() {
+        this.material.name = this.nameInput.value.trim();
+        this.material.description = this.descriptionInput.value.trim();
+        this.material.toneDescription = this.material.description.toLowerCase() + ' tone';
+        
+        Object.keys(this.inputs).forEach(path => {
+            const { input } = this.inputs[path];
+            const isNumeric = input.type === 'range';
+            this.registry.setValue(this.material, path, isNumeric ? parseFloat(input.value) : input.value);
+        });
+        
+        this.finishInputs.forEach(({ color, alpha }, i) => {
+            this.material.finish.stops[i].color = color.value;
+            this.material.finish.stops[i].alpha = parseFloat(alpha.value);
+        });
+        
+        return this.material;
+    }
+    
+    /**
+     * Save the form as a new custom material
+     */
+    saveAsNew() {
+        const edited = this.readForm();
+        this.save({ ...edited, id: this.registry.createId(edited.name || 'Custom'), builtIn: false });
+    }
+    
+    /**
+     * Save the form over the custom material being edited
+     */
+    saveChanges() {
+        this.save(this.readForm());
+    }
+    
+    /**
+     * Save a material and report problems to the user
+     */
+    save(material) {
+        try {
+            this.registry.save(material);
+        } catch (e) {
+            this.setStatus(e.message, true);
+            return;
+        }
+        
+        this.load(material.id);
+        this.setStatus(`Saved "${material.name}"`);
+        
+        if (this.onChange) {
+            this.onChange(material.id);
+        }
+    }
+    
+    /**
+     * Delete the custom material being edited
+     */
+    deleteMaterial() {
+        const { id, name } = this.material;
+        try {
+            this.registry.remove(id);
+        } catch (e) {
+            this.setStatus(e.message, true);
+            return;
+        }
+        
+        this.load(this.registry.defaultId);
+        this.setStatus(`Deleted "${name}"`);
+        
+        if (this.onChange) {
+            this.onChange(null);
+        }
+    }
+    
+    /**
+     * Show a status or error message under the editor
+     */
+    setStatus(message, isError = false) {
+        this.statusElement.textContent = message;
+        this.statusElement.classList.toggle('error', isError);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialEditor;
+}
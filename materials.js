@@ -0,0 +1,616 @@
+/**
+ * Material Registry - Handles the material definitions used for sound and finish
+ *
+ * Every material is one plain object following the schema below. The built-in
+ * materials are defined here; custom materials made in the editor are stored in
+ * localStorage and loaded alongside them.
+ *
+ * {
+ *     id, name, description, builtIn,
+ *     toneDescription,   // Phrase used in the build report
+ *     string: { brightness, hardness, decayScale, promptRatio, aftersoundLevel, unisonSpread },
+ *     filter: { type, frequency, frequencyPerCm, gain, Q },  // Cutoff = frequency + length * frequencyPerCm
+ *     body: { lossFactor, brightness, modalDensity },       // Soundboard damping and colour
+ *     distortion: 'soft' | 'hard' | 'chaotic' | 'asymmetric', // Harmonic enhancement character
+ *     finish: { stops: [{ offset, color, alpha }], shadowOpacity, shadowBlur }
+ * }
+ *
+ * A build may also use a weighted mix such as { wood: 0.7, metal: 0.3 }; resolve()
+ * turns it into a single blended definition. A blend of materials with different
+ * filter types also carries filterLayers: [{ type, frequency, frequencyPerCm, gain, Q, weight }],
+ * one filter per type, run in parallel and mixed by weight.
+ */
+class MaterialRegistry {
+    /**
+     * @param {Storage} storage - Where custom materials are kept (default: window.localStorage;
+     *                            null keeps them in memory only, e.g. under Node)
+     */
+    constructor(storage) {
+        this.storage = storage !== undefined ? storage : (typeof window !== 'undefined' ? window.localStorage : null);
+        
+        // localStorage key for the custom materials
+        this.storageKey = 'imagineKeys.customMaterials';
+        
+        // Material used when an unknown id is requested
+        this.defaultId = 'wood';
+        
+        // Called with no arguments whenever a material is saved or deleted
+        this.changeListeners = [];
+        
+        // Blended definitions by mix key, cleared whenever a material changes
+        this.blendCache = new Map();
+        
+        // Definitions by id, built-in materials first
+        this.materials = new Map();
+        this.createBuiltInMaterials().forEach(material => this.materials.set(material.id, material));
+        this.loadCustomMaterials();
+    }
+    
+    /**
+     * The materials that ship with the app
+     * @returns {Object[]} - Material definitions
+     */
+    createBuiltInMaterials() {
+        return [
+            {
+                id: 'wood',
+                name: 'Wood',
+                description: 'Warm, resonant',
+                builtIn: true,
+                toneDescription: 'warm, resonant tone with rich overtones',
+                // Warm: highs die away quickly, fundamental rings; seasonal movement of the frame detunes unisons
+                string: { brightness: 0.35, hardness: 0.4, decayScale: 1.0, promptRatio: 0.2, aftersoundLevel: 0.2, unisonSpread: 0.8 },
+                filter: { type: 'lowpass', frequency: 3500, frequencyPerCm: 20, gain: 0, Q: 0.7 },
+                // Spruce soundboard: dense modes, warm, moderately damped
+                body: { lossFactor: 0.02, brightness: 0.35, modalDensity: 1.0 },
+                distortion: 'soft',
+                finish: {
+                    stops: [
+                        { offset: 0, color: '#5d4037', alpha: 1 },
+                        { offset: 0.7, color: '#8d6e63', alpha: 1 },
+                        { offset: 1, color: '#a1887f', alpha: 1 }
+                    ],
+                    shadowOpacity: 0.5,
+                    shadowBlur: 15
+                }
+            },
+            {
+                id: 'metal',
+                name: 'Metal',
+                description: 'Bright, clear',
+                builtIn: true,
+                toneDescription: 'bright, clear tone with extended harmonics',
+                // Stiff frame, low internal losses: bright, long ringing and holds pitch well
+                string: { brightness: 0.75, hardness: 0.8, decayScale: 1.4, promptRatio: 0.3, aftersoundLevel: 0.3, unisonSpread: 0.4 },
+                filter: { type: 'highshelf', frequency: 2000, frequencyPerCm: 30, gain: 3.0, Q: 1.0 },
+                body: { lossFactor: 0.004, brightness: 0.8, modalDensity: 0.7 },
+                distortion: 'hard',
+                finish: {
+                    stops: [
+                        { offset: 0, color: '#455a64', alpha: 1 },
+                        { offset: 0.7, color: '#78909c', alpha: 1 },
+                        { offset: 1, color: '#90a4ae', alpha: 1 }
+                    ],
+                    shadowOpacity: 0.6,
+                    shadowBlur: 10
+                }
+            },
+            {
+                id: 'glass',
+                name: 'Glass',
+                description: 'Crystalline, pure',
+                builtIn: true,
+                toneDescription: 'crystalline, pure tone with transparent sound',
+                // Very little damping of the upper partials, sparse pure body modes
+                string: { brightness: 0.9, hardness: 0.9, decayScale: 1.2, promptRatio: 0.25, aftersoundLevel: 0.25, unisonSpread: 0.3 },
+                filter: { type: 'peaking', frequency: 4000, frequencyPerCm: 40, gain: 6.0, Q: 4.0 },
+                body: { lossFactor: 0.006, brightness: 0.9, modalDensity: 0.5 },
+                distortion: 'asymmetric',
+                finish: {
+                    stops: [
+                        { offset: 0, color: '#c8e6ff', alpha: 0.7 },
+                        { offset: 0.5, color: '#dcf0ff', alpha: 0.5 },
+                        { offset: 1, color: '#f0faff', alpha: 0.8 }
+                    ],
+                    shadowOpacity: 0.3,
+                    shadowBlur: 20
+                }
+            },
+            {
+                id: 'plastic',
+                name: 'Plastic',
+                description: 'Modern, balanced',
+                builtIn: true,
+                toneDescription: 'balanced, modern tone with consistent response',
+                // Heavily damped, controlled sustain; creeps under string tension
+                string: { brightness: 0.45, hardness: 0.5, decayScale: 0.7, promptRatio: 0.15, aftersoundLevel: 0.1, unisonSpread: 1.2 },
+                filter: { type: 'lowshelf', frequency: 1000, frequencyPerCm: 20, gain: -2.0, Q: 0.8 },
+                body: { lossFactor: 0.04, brightness: 0.5, modalDensity: 1.2 },
+                distortion: 'asymmetric',
+                finish: {
+                    stops: [
+                        { offset: 0, color: '#1a237e', alpha: 1 },
+                        { offset: 0.7, color: '#303f9f', alpha: 1 },
+                        { offset: 1, color: '#3949ab', alpha: 1 }
+                    ],
+                    shadowOpacity: 0.4,
+                    shadowBlur: 12
+                }
+            },
+            {
+                id: 'experimental',
+                name: 'Experimental',
+                description: 'Wild, chaotic',
+                builtIn: true,
+                toneDescription: 'wild, unpredictable tone with chaotic overtones',
+                // Hard hammers, barely damped body and badly matched unisons
+                string: { brightness: 1.0, hardness: 1.0, decayScale: 0.9, promptRatio: 0.5, aftersoundLevel: 0.4, unisonSpread: 4.0 },
+                filter: { type: 'lowpass', frequency: 3500, frequencyPerCm: 20, gain: 0, Q: 0.7 },
+                body: { lossFactor: 0.002, brightness: 1.0, modalDensity: 0.3 },
+                distortion: 'chaotic',
+                finish: {
+                    stops: [
+                        { offset: 0, color: '#4a148c', alpha: 1 },
+                        { offset: 0.6, color: '#00838f', alpha: 1 },
+                        { offset: 1, color: '#c6ff00', alpha: 1 }
+                    ],
+                    shadowOpacity: 0.5,
+                    shadowBlur: 18
+                }
+            }
+        ];
+    }
+    
+    /**
+     * Describe the editable numeric fields of a material, with their valid ranges
+     * Fields marked scale: 'log' span decades and are blended geometrically.
+     * @returns {Object[]} - { path, label, min, max, step, scale }
+     */
+    getNumericFields() {
+        return [
+            { path: 'string.brightness', label: 'String brightness', min: 0, max: 1, step: 0.01 },
+            { path: 'string.hardness', label: 'Hammer hardness', min: 0, max: 1, step: 0.01 },
+            { path: 'string.decayScale', label: 'Sustain length', min: 0.2, max: 3, step: 0.05 },
+            { path: 'string.promptRatio', label: 'Prompt decay (share of aftersound)', min: 0.05, max: 1, step: 0.01 },
+            { path: 'string.aftersoundLevel', label: 'Aftersound level', min: 0, max: 0.6, step: 0.01 },
+            { path: 'string.unisonSpread', label: 'Unison spread (cents)', min: 0, max: 10, step: 0.1 },
+            { path: 'filter.frequency', label: 'Filter frequency (Hz)', min: 20, max: 12000, step: 10, scale: 'log' },
+            { path: 'filter.frequencyPerCm', label: 'Filter Hz per cm of length', min: 0, max: 100, step: 1 },
+            { path: 'filter.gain', label: 'Filter gain (dB)', min: -24, max: 24, step: 0.5 },
+            { path: 'filter.Q', label: 'Filter Q', min: 0.1, max: 20, step: 0.1 },
+            { path: 'body.lossFactor', label: 'Body damping', min: 0.001, max: 0.1, step: 0.001, scale: 'log' },
+            { path: 'body.brightness', label: 'Body brightness', min: 0, max: 1, step: 0.01 },
+            { path: 'body.modalDensity', label: 'Body modal density', min: 0.1, max: 3, step: 0.05 },
+            { path: 'finish.shadowOpacity', label: 'Shadow opacity', min: 0, max: 1, step: 0.05 },
+            { path: 'finish.shadowBlur', label: 'Shadow blur', min: 0, max: 40, step: 1 }
+        ];
+    }
+    
+    /**
+     * Describe the fields that take one of a fixed set of values
+     * @returns {Object[]} - { path, label, options }
+     */
+    getChoiceFields() {
+        return [
+            { path: 'filter.type', label: 'Filter type', options: ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking'] },
+            { path: 'distortion', label: 'Distortion character', options: ['soft', 'hard', 'chaotic', 'asymmetric'] }
+        ];
+    }
+    
+    /**
+     * Get a material definition
+     * @param {string} id - Material id
+     * @returns {Object} - The definition (the default material if the id is unknown)
+     */
+    get(id) {
+        if (this.materials.has(id)) {
+            return this.materials.get(id);
+        }
+        
+        console.warn(`Unknown material "${id}", using ${this.defaultId}`);
+        return this.materials.get(this.defaultId);
+    }
+    
+    /**
+     * Get the definition for a material id or a weighted mix of materials
+     * @param {string|Object} material - Id, or weights by id such as { wood: 0.7, metal: 0.3 }
+     * @returns {Object} - Material definition
+     */
+    resolve(material) {
+        if (typeof material === 'string') {
+            return this.get(material);
+        }
+        
+        const mix = this.normalizeMix(material);
+        const ids = Object.keys(mix);
+        if (ids.length === 1) {
+            return this.get(ids[0]);
+        }
+        
+        const key = ids.map(id => `${id}=${mix[id].toFixed(3)}`).join('|');
+        if (!this.blendCache.has(key)) {
+            this.blendCache.set(key, this.blend(mix));
+        }
+        return this.blendCache.get(key);
+    }
+    
+    /**
+     * Clean up a mix: drop unknown materials and zero weights, scale weights to sum to 1
+     * and sort the heaviest first
+     * @param {Object} mix - Weights by material id
+     * @returns {Object} - Normalized weights (the default material alone if nothing is left)
+     */
+    normalizeMix(mix) {
+        const entries = Object.keys(mix || {})
+            .filter(id => this.materials.has(id) && mix[id] > 0)
+            .map(id => [id, mix[id]])
+            .sort((a, b) => b[1] - a[1]);
+        
+        const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        if (total === 0) {
+            return { [this.defaultId]: 1 };
+        }
+        
+        const normalized = {};
+        entries.forEach(([id, weight]) => {
+            normalized[id] = weight / total;
+        });
+        return normalized;
+    }
+    
+    /**
+     * Interpolate several materials into one definition
+     *
+     * Numeric parameters are weighted averages (geometric for log-scaled ones),
+     * the distortion character comes from the heaviest material, and the finish
+     * colours are mixed. Filters are only averaged with filters of the same type
+     * (see blendFilters).
+     *
+     * @param {Object} mix - Normalized weights by material id, heaviest first
+     * @returns {Object} - Blended definition
+     */
+    blend(mix) {
+        const ids = Object.keys(mix);
+        const parts = ids.map(id => ({ material: this.get(id), weight: mix[id] }));
+        const dominant = parts[0].material;
+        
+        const blended = JSON.parse(JSON.stringify(dominant));
+        blended.id = ids.map(id => `${id}:${Math.round(mix[id] * 100)}`).join('+');
+        blended.name = parts.map(({ material, weight }) => `${material.name} ${Math.round(weight * 100)}%`).join(' / ');
+        blended.description = 'Blend';
+        blended.builtIn = false;
+        blended.mix = mix;
+        
+        // The lighter materials colour the heaviest one's character
+        const accents = parts.slice(1).map(({ material }) => `${material.name.toLowerCase()} colouring`);
+        blended.toneDescription = [dominant.toneDescription].concat(accents).join(', ');
+        
+        this.getNumericFields().forEach(field => {
+            let value;
+            if (field.scale === 'log') {
+                value = Math.exp(parts.reduce((sum, { material, weight }) => sum + weight * Math.log(this.getValue(material, field.path)), 0));
+            } else {
+                value = parts.reduce((sum, { material, weight }) => sum + weight * this.getValue(material, field.path), 0);
+            }
+            this.setValue(blended, field.path, value);
+        });
+        
+        const filterLayers = this.blendFilters(parts);
+        const { weight, ...filter } = filterLayers[0];
+        blended.filter = filter;
+        if (filterLayers.length > 1) {
+            blended.filterLayers = filterLayers;
+        }
+        
+        blended.finish.stops = this.blendFinishStops(parts);
+        
+        return blended;
+    }
+    
+    /**
+     * Average the filters of several materials, one layer per filter type
+     *
+     * Averaging a lowpass cutoff with a shelf's corner describes neither filter,
+     * so each type keeps its own layer: its parameters are averaged over the
+     * materials that use it, and its weight is theirs combined.
+     *
+     * @param {Object[]} parts - { material, weight }, heaviest first
+     * @returns {Object[]} - { type, frequency, frequencyPerCm, gain, Q, weight }, heaviest first
+     */
+    blendFilters(parts) {
+        const groups = [];
+        parts.forEach(part => {
+            const group = groups.find(candidate => candidate.type === part.material.filter.type);
+            if (group) {
+                group.members.push(part);
+            } else {
+                groups.push({ type: part.material.filter.type, members: [part] });
+            }
+        });
+        
+        const fields = this.getNumericFields().filter(field => field.path.startsWith('filter.'));
+        return groups.map(({ type, members }) => {
+            const weight = members.reduce((sum, part) => sum + part.weight, 0);
+            const layer = { type };
+            fields.forEach(field => {
+                const key = field.path.slice('filter.'.length);
+                if (field.scale === 'log') {
+                    layer[key] = Math.exp(members.reduce((sum, part) => sum + part.weight * Math.log(part.material.filter[key]), 0) / weight);
+                } else {
+                    layer[key] = members.reduce((sum, part) => sum + part.weight * part.material.filter[key], 0) / weight;
+                }
+            });
+            layer.weight = weight;
+            return layer;
+        }).sort((a, b) => b.weight - a.weight);
+    }
+    
+    /**
+     * Mix the finish gradients of several materials
+     *
+     * Each gradient is sampled at every offset any of them uses, and the colours
+     * are averaged by weight, so materials with different stops still line up.
+     *
+     * @param {Object[]} parts - { material, weight }
+     * @returns {Object[]} - Gradient stops
+     */
+    blendFinishStops(parts) {
+        const offsets = Array.from(new Set(
+            parts.reduce((all, { material }) => all.concat(material.finish.stops.map(stop => stop.offset)), [])
+        )).sort((a, b) => a - b);
+        
+        return offsets.map(offset => {
+            const mixed = [0, 0, 0, 0];
+            parts.forEach(({ material, weight }) => {
+                this.sampleGradient(material.finish.stops, offset).forEach((channel, i) => {
+                    mixed[i] += channel * weight;
+                });
+            });
+            
+            const color = '#' + mixed.slice(0, 3).map(channel => Math.round(channel).toString(16).padStart(2, '0')).join('');
+            return { offset, color, alpha: Math.round(mixed[3] * 100) / 100 };
+        });
+    }
+    
+    /**
+     * Get the colour of a gradient at an offset
+     * @param {Object[]} stops - Gradient stops
+     * @param {number} offset - 0 to 1
+     * @returns {number[]} - [red, green, blue, alpha]
+     */
+    sampleGradient(stops, offset) {
+        const sorted = stops.slice().sort((a, b) => a.offset - b.offset);
+        const toChannels = (stop) => {
+            const value = parseInt(stop.color.slice(1), 16);
+            return [(value >> 16) & 0xFF, (value >> 8) & 0xFF, value & 0xFF, stop.alpha];
+        };
+        
+        if (offset <= sorted[0].offset) return toChannels(sorted[0]);
+        
+        for (let i = 1; i < sorted.length; i++) {
+            if (offset <= sorted[i].offset) {
+                const before = toChannels(sorted[i - 1]);
+                const after = toChannels(sorted[i]);
+                const position = (offset - sorted[i - 1].offset) / (sorted[i].offset - sorted[i - 1].offset || 1);
+                return before.map((channel, c) => channel + (after[c] - channel) * position);
+            }
+        }
+        
+        return toChannels(sorted[sorted.length - 1]);
+    }
+    
+    /**
+     * Check whether a material exists
+     */
+    has(id) {
+        return this.materials.has(id);
+    }
+    
+    /**
+     * Get every material, built-in ones first
+     * @returns {Object[]}
+     */
+    getAll() {
+        return Array.from(this.materials.values());
+    }
+    
+    /**
+     * Create an unsaved copy of a material to edit
+     * @param {string} baseId - Material to start from
+     * @param {string} name - Name of the new material
+     * @returns {Object} - New custom definition with a unique id
+     */
+    createFromTemplate(baseId, name) {
+        const material = JSON.parse(JSON.stringify(this.get(baseId)));
+        material.id = this.createId(name);
+        material.name = name;
+        material.builtIn = false;
+        return material;
+    }
+    
+    /**
+     * Make an unused id for a custom material from its name
+     * @param {string} name - Material name
+     * @returns {string} - e.g. 'custom-walnut' or 'custom-walnut-2'
+     */
+    createId(name) {
+        const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'material';
+        
+        let id = `custom-${slug}`;
+        for (let i = 2; this.materials.has(id); i++) {
+            id = `custom-${slug}-${i}`;
+        }
+        return id;
+    }
+    
+    /**
+     * Check a definition against the schema
+     * @param {Object} material - Definition to check
+     * @returns {string[]} - Problems found (empty when valid)
+     */
+    validate(material) {
+        const errors = [];
+        
+        if (!material || typeof material !== 'object') {
+            return ['Material must be an object'];
+        }
+        if (!material.id || typeof material.id !== 'string') {
+            errors.push('Material needs an id');
+        }
+        if (!material.name || typeof material.name !== 'string') {
+            errors.push('Material needs a name');
+        }
+        
+        this.getNumericFields().forEach(field => {
+            const value = this.getValue(material, field.path);
+            if (typeof value !== 'number' || isNaN(value)) {
+                errors.push(`${field.label} must be a number`);
+            } else if (value < field.min || value > field.max) {
+                errors.push(`${field.label} must be between ${field.min} and ${field.max}`);
+            }
+        });
+        
+        this.getChoiceFields().forEach(field => {
+            if (!field.options.includes(this.getValue(material, field.path))) {
+                errors.push(`${field.label} must be one of: ${field.options.join(', ')}`);
+            }
+        });
+        
+        const stops = material.finish && material.finish.stops;
+        if (!Array.isArray(stops) || stops.length < 2) {
+            errors.push('Finish needs at least two colour stops');
+        } else {
+            stops.forEach((stop, i) => {
+                if (!/^#[0-9a-f]{6}$/i.test(stop.color)) {
+                    errors.push(`Finish colour ${i + 1} must be a hex colour like #5d4037`);
+                }
+                if (!(stop.offset >= 0 && stop.offset <= 1) || !(stop.alpha >= 0 && stop.alpha <= 1)) {
+                    errors.push(`Finish colour ${i + 1} needs an offset and alpha between 0 and 1`);
+                }
+            });
+        }
+        
+        return errors;
+    }
+    
+    /**
+     * Save a custom material (new or edited) and persist all custom materials
+     * @param {Object} material - Definition to save
+     * @throws {Error} - If the definition is invalid or would replace a built-in material
+     */
+    save(material) {
+        const existing = this.materials.get(material.id);
+        if (existing && existing.builtIn) {
+            throw new Error(`"${existing.name}" is built in and cannot be changed; save a copy instead`);
+        }
+        
+        const errors = this.validate(material);
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        
+        this.materials.set(material.id, { ...material, builtIn: false });
+        this.storeCustomMaterials();
+        this.notifyChange();
+    }
+    
+    /**
+     * Delete a custom material
+     * @param {string} id - Material id
+     * @throws {Error} - If the material is built in
+     */
+    remove(id) {
+        const material = this.materials.get(id);
+        if (!material) return;
+        
+        if (material.builtIn) {
+            throw new Error(`"${material.name}" is built in and cannot be deleted`);
+        }
+        
+        this.materials.delete(id);
+        this.storeCustomMaterials();
+        this.notifyChange();
+    }
+    
+    /**
+     * Register a callback for saved or deleted materials
+     */
+    addChangeListener(callback) {
+        this.changeListeners.push(callback);
+    }
+    
+    /**
+     * Tell listeners the set of materials changed
+     */
+    notifyChange() {
+        this.blendCache.clear();
+        this.changeListeners.forEach(callback => callback());
+    }
+    
+    /**
+     * Load custom materials from localStorage, skipping any that no longer validate
+     */
+    loadCustomMaterials() {
+        if (!this.storage) return;
+        
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+        } catch (e) {
+            console.warn('Could not load custom materials:', e);
+            return;
+        }
+        
+        if (!Array.isArray(stored)) return;
+        
+        stored.forEach(material => {
+            const errors = this.validate(material);
+            const existing = this.materials.get(material && material.id);
+            if (errors.length > 0 || (existing && existing.builtIn)) {
+                console.warn(`Skipping stored material ${material && material.id}:`, errors);
+                return;
+            }
+            this.materials.set(material.id, { ...material, builtIn: false });
+        });
+    }
+    
+    /**
+     * Write the custom materials to localStorage
+     */
+    storeCustomMaterials() {
+        if (!this.storage) return;
+        
+        const custom = this.getAll().filter(material => !material.builtIn);
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(custom));
+        } catch (e) {
+            console.warn('Could not store custom materials:', e);
+        }
+    }
+    
+    /**
+     * Read a value from a definition by dotted path (e.g. 'string.brightness')
+     */
+    getValue(material, path) {
+        return path.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), material);
+    }
+    
+    /**
+     * Write a value into a definition by dotted path, creating objects as needed
+     */
+    setValue(material, path, value) {
+        const keys = path.split('.');
+        let target = material;
+        keys.slice(0, -1).forEach(key => {
+            if (!target[key] || typeof target[key] !== 'object') {
+                target[key] = {};
+            }
+            target = target[key];
+        });
+        target[keys[keys.length - 1]] = value;
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MaterialRegistry;
+}
@@ -2,15 +2,38 @@
  * MIDI Controller - Handles MIDI input and virtual keyboard
  */
 class MidiController {
-    constructor(pianoModel) {
+    /**
+     * @param {PianoModel} pianoModel - Piano the notes are played on
+     * @param {Object} options
+     * @param {Function} options.requestMIDIAccess - Returns a promise of a MIDIAccess
+     *                                               (default: navigator.requestMIDIAccess, if supported)
+     * @param {Document} options.document - Document the virtual keyboard is built in (default: the page)
+     * @param {EventTarget} options.window - Receives the computer keyboard and resize events (default: the window)
+     * @param {Object} options.elements - { keyboard, midiStatus, sustainPedal, sostenutoPedal, softPedal };
+     *                                    any not given are looked up by id in the document
+     * @param {VelocityCurve} options.velocityCurve - Curve applied to every note (default: a new curve)
+     */
+    constructor(pianoModel, options = {}) {
         this.pianoModel = pianoModel;
         this.midiAccess = null;
         this.midiInputs = [];
         this.activeInputs = new Set();
         
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.window = options.window || (typeof window !== 'undefined' ? window : null);
+        this.requestMIDIAccess = options.requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess ?
+                (midiOptions) => navigator.requestMIDIAccess(midiOptions) : null);
+        
         // Virtual keyboard element
-        this.keyboardElement = document.getElementById('keyboard');
-        this.midiStatusElement = document.getElementById('midiStatus');
+        const elements = options.elements || {};
+        const findElement = (name) => elements[name] ||
+            (this.document ? this.document.getElementById(name) : null);
+        this.keyboardElement = findElement('keyboard');
+        this.midiStatusElement = findElement('midiStatus');
+        this.sustainPedalElement = findElement('sustainPedal');
+        this.sostenutoPedalElement = findElement('sostenutoPedal');
+        this.softPedalElement = findElement('softPedal');
         
         // Virtual keyboard configuration
         this.keyboardConfig = {
@@ -34,10 +57,12 @@ class MidiController {
         };
         
         // Update dimensions on window resize
-        window.addEventListener('resize', () => {
-            updateKeyboardDimensions();
-            this.createVirtualKeyboard();
-        });
+        if (this.window) {
+            this.window.addEventListener('resize', () => {
+                updateKeyboardDimensions();
+                this.createVirtualKeyboard();
+            });
+        }
         
         // Initial update
         setTimeout(updateKeyboardDimensions, 0);
@@ -52,24 +77,48 @@ class MidiController {
         // Track pressed keys
         this.pressedKeys = new Set();
         
+        // Computer key that holds the sustain pedal down
+        this.sustainPedalKey = ' ';
+        
+        // Every note's velocity passes through this curve
+        this.velocityCurve = options.velocityCurve || new VelocityCurve();
+        
+        // Velocity of notes from inputs that do not sense how hard a key is struck
+        this.defaultVelocities = { mouse: 0.7, touch: 0.7, keyboard: 0.7 };
+        
+        // Computer keys that step the computer keyboard velocity down and up while playing
+        this.velocityDownKeys = ['-', '_'];
+        this.velocityUpKeys = ['=', '+'];
+        this.velocityStep = 0.1;
+        
+        // Called with (source, velocity) when a default velocity changes
+        this.onDefaultVelocityChange = null;
+        
+        // Called with the position (0 to 1) when the modulation wheel moves
+        this.onModWheelChange = null;
+        
+        // Performance being recorded for offline export (null when not recording)
+        this.recording = null;
+        
         // Initialize
         this.initMIDI();
         this.createVirtualKeyboard();
         this.initKeyboardListeners();
+        this.initPedalListeners();
     }
     
     /**
      * Initialize Web MIDI API
      */
     async initMIDI() {
-        if (!navigator.requestMIDIAccess) {
+        if (!this.requestMIDIAccess) {
             console.warn('Web MIDI API not supported in this browser');
             this.updateMidiStatus('MIDI: Not supported in this browser');
             return;
         }
         
         try {
-            this.midiAccess = await navigator.requestMIDIAccess({ sysex: false });
+            this.midiAccess = await this.requestMIDIAccess({ sysex: false });
             console.log('MIDI access granted');
             
             this.updateMIDIDevices();
@@ -165,13 +214,50 @@ class MidiController {
             case 0x80: // Note Off
                 console.log(`MIDI Note Off: ${note}`);
                 
-                // Make sure we really stop the note
-                if (this.pianoModel) {
-                    // Use forceStopNote to ensure it's really stopped
-                    this.pianoModel.forceStopNote(note);
-                }
+                // A plain release: the sustain pedal decides whether the note keeps ringing.
+                // The note-off velocity says how fast the key came up, which sets the release noise.
+                this.noteOff(note, velocity);
+                break;
                 
-                this.noteOff(note);
+            case 0xB0: // Control Change
+                this.handleControlChange(message.data[1], message.data[2]);
+                break;
+                
+            case 0xA0: // Polyphonic aftertouch - pressure on one key
+                this.setPolyPressure(note, message.data[2] / 127);
+                break;
+                
+            case 0xD0: // Channel pressure - one value for the whole keyboard
+                this.setChannelPressure(message.data[1] / 127);
+                break;
+                
+            case 0xE0: // Pitch Bend - 14 bits, LSB first, centred on 8192
+                this.setPitchBend((((message.data[2] << 7) | message.data[1]) - 8192) / 8192);
+                break;
+        }
+    }
+    
+    /**
+     * Handle a MIDI control change message
+     * @param {number} controller - Controller number
+     * @param {number} value - Controller value (0-127)
+     */
+    handleControlChange(controller, value) {
+        switch (controller) {
+            case 1: // Modulation wheel
+                this.setModWheel(value / 127);
+                break;
+                
+            case 64: // Sustain (damper) pedal - continuous pedals send half-pedal values
+                this.setSustainPedal(value / 127);
+                break;
+                
+            case 66: // Sostenuto pedal - a switch, down at 64 and above
+                this.setSostenutoPedal(value >= 64);
+                break;
+                
+            case 67: // Soft (una corda) pedal
+                this.setSoftPedal(value / 127);
                 break;
         }
     }
@@ -185,6 +271,10 @@ class MidiController {
         // Clear existing keyboard
         this.keyboardElement.innerHTML = '';
         
+        // A Scala scale renames every key, so all labels are shown
+        const isMicrotonal = this.isMicrotonal();
+        this.keyboardElement.classList.toggle('microtonal', isMicrotonal);
+        
         const { startNote, endNote } = this.keyboardConfig;
         
         // Calculate number of white keys in our range
@@ -205,7 +295,7 @@ class MidiController {
             const noteType = note % 12;
             // White keys are C, D, E, F, G, A, B (notes 0, 2, 4, 5, 7, 9, 11)
             if (![1, 3, 6, 8, 10].includes(noteType)) {
-                const keyElement = document.createElement('div');
+                const keyElement = this.document.createElement('div');
                 keyElement.className = 'piano-key white';
                 keyElement.dataset.note = note;
                 keyElement.id = `key${note}`;
@@ -216,10 +306,11 @@ class MidiController {
                 
                 // Add key label (note name)
                 const noteName = this.getNoteNameFromMidi(note);
-                const keyLabel = document.createElement('div');
+                const keyLabel = this.document.createElement('div');
                 keyLabel.className = 'key-label';
                 keyLabel.textContent = noteName;
                 keyElement.appendChild(keyLabel);
+                this.markUnmappedKey(keyElement, note);
                 
                 // We're not showing computer key labels anymore (only note names)
                 
@@ -230,7 +321,7 @@ class MidiController {
                     
                     // Store the note being played to track it
                     keyElement.dataset.isPlaying = 'true';
-                    this.noteOn(note, 0.7);
+                    this.noteOn(note, this.defaultVelocities.mouse);
                 });
                 
                 keyElement.addEventListener('mouseup', () => {
@@ -251,7 +342,7 @@ class MidiController {
                 keyElement.addEventListener('touchstart', (e) => {
                     e.preventDefault();
                     keyElement.dataset.isPlaying = 'true';
-                    this.noteOn(note, 0.7);
+                    this.noteOn(note, this.defaultVelocities.touch);
                 });
                 
                 keyElement.addEventListener('touchend', (e) => {
@@ -284,7 +375,7 @@ class MidiController {
             // If there's a gap of 2 semitones, there's a black key in between
             if (nextWhiteNote - whiteNote === 2) {
                 const blackNote = whiteNote + 1;
-                const keyElement = document.createElement('div');
+                const keyElement = this.document.createElement('div');
                 keyElement.className = 'piano-key black';
                 keyElement.dataset.note = blackNote;
                 keyElement.id = `key${blackNote}`;
@@ -298,10 +389,17 @@ class MidiController {
                 const leftPosition = ((currentWhiteKey.index + 0.75) / whiteKeyCount) * 100;
                 keyElement.style.left = `${leftPosition}%`;
                 
-                // Add computer key label if mapped
+                this.markUnmappedKey(keyElement, blackNote);
+                
+                // Scale degree names go where the computer key label would be
                 const computerKey = this.getComputerKeyForNote(blackNote);
-                if (computerKey) {
-                    const computerKeyLabel = document.createElement('div');
+                if (isMicrotonal) {
+                    const keyLabel = this.document.createElement('div');
+                    keyLabel.className = 'key-label';
+                    keyLabel.textContent = this.getNoteNameFromMidi(blackNote);
+                    keyElement.appendChild(keyLabel);
+                } else if (computerKey) {
+                    const computerKeyLabel = this.document.createElement('div');
                     computerKeyLabel.className = 'key-label';
                     computerKeyLabel.style.bottom = '15px';
                     computerKeyLabel.textContent = computerKey.toUpperCase();
@@ -315,7 +413,7 @@ class MidiController {
                     
                     // Store the note being played to track it
                     keyElement.dataset.isPlaying = 'true';
-                    this.noteOn(blackNote, 0.7);
+                    this.noteOn(blackNote, this.defaultVelocities.mouse);
                 });
                 
                 keyElement.addEventListener('mouseup', () => {
@@ -336,7 +434,7 @@ class MidiController {
                 keyElement.addEventListener('touchstart', (e) => {
                     e.preventDefault();
                     keyElement.dataset.isPlaying = 'true';
-                    this.noteOn(blackNote, 0.7);
+                    this.noteOn(blackNote, this.defaultVelocities.touch);
                 });
                 
                 keyElement.addEventListener('touchend', (e) => {
@@ -364,22 +462,48 @@ class MidiController {
      * Initialize computer keyboard listeners
      */
     initKeyboardListeners() {
+        if (!this.window) return;
+        
         // Key down event
-        window.addEventListener('keydown', (e) => {
+        this.window.addEventListener('keydown', (e) => {
             // Ignore if key is already pressed or if typing in an input
             if (this.pressedKeys.has(e.key) || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') {
                 return;
             }
             
+            // Step the computer keyboard velocity (repeats while held, so no pressedKeys check)
+            if (this.velocityDownKeys.includes(e.key) || this.velocityUpKeys.includes(e.key)) {
+                const steps = this.velocityUpKeys.includes(e.key) ? 1 : -1;
+                this.setDefaultVelocity('keyboard', this.defaultVelocities.keyboard + steps * this.velocityStep);
+                return;
+            }
+            
+            // Space holds the sustain pedal (and must not click a focused button or scroll)
+            if (e.key === this.sustainPedalKey) {
+                e.preventDefault();
+                this.pressedKeys.add(e.key);
+                this.setSustainPedal(1);
+                return;
+            }
+            
             const note = this.keyboardMapping[e.key.toLowerCase()];
             if (note) {
-                this.noteOn(note, 0.7);
+                this.noteOn(note, this.defaultVelocities.keyboard);
                 this.pressedKeys.add(e.key);
             }
         });
         
         // Key up event
-        window.addEventListener('keyup', (e) => {
+        this.window.addEventListener('keyup', (e) => {
+            if (e.key === this.sustainPedalKey) {
+                if (this.pressedKeys.has(e.key)) {
+                    e.preventDefault();
+                    this.pressedKeys.delete(e.key);
+                    this.setSustainPedal(0);
+                }
+                return;
+            }
+            
             const note = this.keyboardMapping[e.key.toLowerCase()];
             if (note) {
                 this.noteOff(note);
@@ -388,25 +512,172 @@ class MidiController {
         });
         
         // Clear all notes when window loses focus
-        window.addEventListener('blur', () => {
+        this.window.addEventListener('blur', () => {
+            // The keyup for a held Space never arrives once focus is gone
+            if (this.pressedKeys.has(this.sustainPedalKey)) {
+                this.setSustainPedal(0);
+            }
             this.pressedKeys.clear();
             this.pianoModel.stopAllNotes();
             this.clearAllPlayingFlags();
         });
         
         // Global mouseup and touchend handlers as safety measures
-        window.addEventListener('mouseup', () => {
+        this.window.addEventListener('mouseup', () => {
             // Check if any keys are still marked as playing and force stop them
             this.clearAllPlayingFlags();
         });
         
-        window.addEventListener('touchend', () => {
+        this.window.addEventListener('touchend', () => {
             this.clearAllPlayingFlags();
         });
     }
     
+    /**
+     * Initialize the on-screen pedals
+     *
+     * The mouse is busy playing keys, so the on-screen pedals latch: click to
+     * press one, click again to lift it.
+     */
+    initPedalListeners() {
+        if (this.sustainPedalElement) {
+            this.sustainPedalElement.addEventListener('click', () => {
+                const isDown = this.pianoModel.sustainPedal >= this.pianoModel.damperThreshold;
+                this.setSustainPedal(isDown ? 0 : 1);
+            });
+        }
+        
+        if (this.sostenutoPedalElement) {
+            this.sostenutoPedalElement.addEventListener('click', () => {
+                this.setSostenutoPedal(!this.pianoModel.sostenutoPedal);
+            });
+        }
+        
+        if (this.softPedalElement) {
+            this.softPedalElement.addEventListener('click', () => {
+                this.setSoftPedal(this.pianoModel.softPedal > 0 ? 0 : 1);
+            });
+        }
+    }
+    
+    /**
+     * Set the sustain pedal position and reflect it on the on-screen pedal
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    setSustainPedal(value) {
+        if (this.pianoModel) {
+            this.pianoModel.setSustainPedal(value);
+        }
+        
+        this.recordPedal(64, value);
+        this.updatePedalElement(this.sustainPedalElement, value);
+    }
+    
+    /**
+     * Press or release the sostenuto pedal and reflect it on the on-screen pedal
+     * @param {boolean} isDown - Whether the pedal is pressed
+     */
+    setSostenutoPedal(isDown) {
+        if (this.pianoModel) {
+            this.pianoModel.setSostenutoPedal(isDown);
+        }
+        
+        this.recordPedal(66, isDown ? 1 : 0);
+        this.updatePedalElement(this.sostenutoPedalElement, isDown ? 1 : 0);
+    }
+    
+    /**
+     * Set the soft pedal position and reflect it on the on-screen pedal
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    setSoftPedal(value) {
+        if (this.pianoModel) {
+            this.pianoModel.setSoftPedal(value);
+        }
+        
+        this.recordPedal(67, value);
+        this.updatePedalElement(this.softPedalElement, value);
+    }
+    
+    /**
+     * Bend the pitch of every sounding note
+     * @param {number} value - -1 (full bend down) to 1 (full bend up)
+     */
+    setPitchBend(value) {
+        if (this.pianoModel) {
+            this.pianoModel.setPitchBend(value);
+        }
+    }
+    
+    /**
+     * Set the channel pressure (aftertouch for every sounding note)
+     * @param {number} value - 0 to 1
+     */
+    setChannelPressure(value) {
+        if (this.pianoModel) {
+            this.pianoModel.setChannelPressure(value);
+        }
+    }
+    
+    /**
+     * Set the poly aftertouch of one key
+     * @param {number} note - MIDI note number
+     * @param {number} value - 0 to 1
+     */
+    setPolyPressure(note, value) {
+        if (this.pianoModel) {
+            this.pianoModel.setPolyPressure(note, value);
+        }
+    }
+    
+    /**
+     * Set the modulation wheel position
+     * @param {number} value - 0 to 1
+     */
+    setModWheel(value) {
+        if (this.pianoModel) {
+            this.pianoModel.setModWheel(value);
+        }
+        
+        if (this.onModWheelChange) {
+            this.onModWheelChange(value);
+        }
+    }
+    
+    /**
+     * Show a pedal's position on its on-screen control
+     * @param {HTMLElement} element - The pedal button (may be missing)
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    updatePedalElement(element, value) {
+        if (!element) return;
+        
+        element.classList.toggle('active', value >= 0.1);
+        element.style.setProperty('--depth', value.toFixed(2));
+    }
+    
+    /**
+     * Set the velocity used for notes from an input without velocity sensing
+     * @param {string} source - 'mouse', 'touch' or 'keyboard'
+     * @param {number} velocity - 0 to 1 (before the velocity curve)
+     */
+    setDefaultVelocity(source, velocity) {
+        if (!(source in this.defaultVelocities)) {
+            throw new Error(`Unknown velocity source "${source}"`);
+        }
+        
+        // Never fully silent, and rounded so stepping lands on even values
+        this.defaultVelocities[source] = Math.round(Math.max(0.05, Math.min(1, velocity)) * 100) / 100;
+        
+        if (this.onDefaultVelocityChange) {
+            this.onDefaultVelocityChange(source, this.defaultVelocities[source]);
+        }
+    }
+    
     /**
      * Play a note
+     * @param {number} note - MIDI note number
+     * @param {number} velocity - Velocity as played, 0 to 1; the velocity curve is applied here
      */
     noteOn(note, velocity = 0.7) {
         // Ensure the note is within our keyboard range
@@ -415,6 +686,8 @@ class MidiController {
             return;
         }
         
+        velocity = this.velocityCurve.apply(velocity);
+        
         // First stop the note if it's already playing (handles double-clicks)
         if (this.pianoModel) {
             // Force stop the note before playing it again
@@ -424,42 +697,136 @@ class MidiController {
             this.pianoModel.playNote(note, velocity);
         }
         
+        this.recordNoteOn(note, velocity);
+        
         // Update virtual keyboard UI
         this.updateKeyUI(note, true);
     }
     
     /**
      * Stop a note
+     * @param {number} note - MIDI note number
+     * @param {number} releaseVelocity - How fast the key was let go, 0 to 1 (0.5 when the input cannot tell)
      */
-    noteOff(note) {
+    noteOff(note, releaseVelocity = 0.5) {
         // Ensure the note is within our keyboard range
         if (note < this.keyboardConfig.startNote || note > this.keyboardConfig.endNote) {
             return;
         }
         
-        // Stop the note using the piano model
+        // Release the key in the piano model (the sustain pedal may keep it ringing)
         if (this.pianoModel) {
-            // First try to force stop it to ensure it's really stopped
-            this.pianoModel.forceStopNote(note);
-            
-            // Then do a normal stop (this is redundant but ensures compatibility)
-            this.pianoModel.stopNote(note);
+            this.pianoModel.stopNote(note, releaseVelocity);
         }
         
+        this.recordNoteOff(note, releaseVelocity);
+        
         // Update virtual keyboard UI
         this.updateKeyUI(note, false);
     }
     
+    /**
+     * Start recording the notes and pedals played, from any input, as a timed event list
+     */
+    startRecording() {
+        this.recording = {
+            startTime: performance.now(),
+            events: [],
+            heldEvents: {},
+            pedals: {}
+        };
+        
+        // Offline renders start with the pedals up, so note any that are already down
+        if (this.pianoModel) {
+            const { sustainPedal, sostenutoPedal, softPedal } = this.pianoModel;
+            [[64, sustainPedal], [66, sostenutoPedal ? 1 : 0], [67, softPedal]].forEach(([controller, value]) => {
+                if (value > 0) {
+                    this.recordPedal(controller, value);
+                }
+            });
+        }
+    }
+    
+    /**
+     * Stop recording and return the performance
+     * @returns {Object[]} - Notes { note, velocity, time, duration, releaseVelocity } and pedal
+     *                       changes { controller, value, time }, times in seconds, ready for PianoModel.renderOffline
+     */
+    stopRecording() {
+        if (!this.recording) return [];
+        
+        // Keys and pedals still down are released at the end of the recording
+        Object.keys(this.recording.heldEvents).forEach(note => this.recordNoteOff(parseInt(note)));
+        Object.keys(this.recording.pedals).forEach(controller => {
+            if (this.recording.pedals[controller] > 0) {
+                this.recordPedal(parseInt(controller), 0);
+            }
+        });
+        
+        const events = this.recording.events;
+        this.recording = null;
+        return events;
+    }
+    
+    /**
+     * Add a struck note to the recording
+     */
+    recordNoteOn(note, velocity) {
+        if (!this.recording) return;
+        
+        // A re-struck key ends the previous note on that key
+        this.recordNoteOff(note);
+        
+        const event = {
+            note,
+            velocity,
+            time: (performance.now() - this.recording.startTime) / 1000,
+            duration: 0
+        };
+        this.recording.events.push(event);
+        this.recording.heldEvents[note] = event;
+    }
+    
+    /**
+     * Add a pedal change to the recording
+     * @param {number} controller - MIDI controller of the pedal: 64 (sustain), 66 (sostenuto) or 67 (soft)
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    recordPedal(controller, value) {
+        if (!this.recording) return;
+        
+        this.recording.pedals[controller] = value;
+        this.recording.events.push({
+            controller,
+            value,
+            time: (performance.now() - this.recording.startTime) / 1000
+        });
+    }
+    
+    /**
+     * Set the duration of a recorded note when its key is released
+     */
+    recordNoteOff(note, releaseVelocity = 0.5) {
+        if (!this.recording || !this.recording.heldEvents[note]) return;
+        
+        const event = this.recording.heldEvents[note];
+        event.duration = (performance.now() - this.recording.startTime) / 1000 - event.time;
+        event.releaseVelocity = releaseVelocity;
+        delete this.recording.heldEvents[note];
+    }
+    
     /**
      * Update key UI state (pressed/released)
      */
     updateKeyUI(note, isActive) {
+        if (!this.keyboardElement) return;
+        
         // Try to find by data-note attribute first
         let keyElement = this.keyboardElement.querySelector(`[data-note="${note}"]`);
         
         // If not found, try by id
         if (!keyElement) {
-            keyElement = document.getElementById(`key${note}`);
+            keyElement = this.document.getElementById(`key${note}`);
         }
         
         if (keyElement) {
@@ -474,13 +841,31 @@ class MidiController {
     }
     
     /**
-     * Get note name from MIDI note number (e.g., C4, D#3)
+     * Get note name from MIDI note number (e.g., C4, D#3), or the scale degree
+     * and octave when a Scala scale is loaded (e.g. 7·4)
      */
     getNoteNameFromMidi(midiNote) {
-        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
-        const noteName = noteNames[midiNote % 12];
-        const octave = Math.floor(midiNote / 12) - 1;
-        return noteName + octave;
+        if (!this.pianoModel) {
+            return Tuning.getTwelveNoteName(midiNote);
+        }
+        
+        return this.pianoModel.tuning.getNoteName(midiNote);
+    }
+    
+    /**
+     * Check whether the keys are tuned to a Scala scale rather than 12 named notes
+     */
+    isMicrotonal() {
+        return !!this.pianoModel && this.pianoModel.tuning.temperament === 'scala';
+    }
+    
+    /**
+     * Grey out a key the Scala keyboard mapping leaves silent
+     */
+    markUnmappedKey(keyElement, note) {
+        if (this.pianoModel && !this.pianoModel.isNoteMapped(note)) {
+            keyElement.classList.add('unmapped');
+        }
     }
     
     /**
@@ -553,3 +938,7 @@ class MidiController {
         });
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MidiController;
+}
@@ -1,10 +1,26 @@
 /**
  * Piano Model - Handles the audio synthesis and physical modeling
+ *
+ * Everything it needs from the environment can be passed in, so it also runs
+ * under Node with a fake or offline audio context.
  */
 class PianoModel {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {BaseAudioContext} options.audioContext - Context to play in (default: a new AudioContext)
+     * @param {Function} options.OfflineAudioContext - Constructor used for offline rendering
+     *                                                 (default: the browser's OfflineAudioContext)
+     * @param {MaterialRegistry} options.materialRegistry - Material definitions (default: a new registry)
+     * @param {Tuning} options.tuning - Reference pitch and temperament (default: 440 Hz equal temperament)
+     * @param {Function} options.Worker - Constructor used to render strings in the background
+     *                                    (default: the browser's Worker)
+     */
+    constructor(options = {}) {
         // Initialize Web Audio API context
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.audioContext = options.audioContext || new (window.AudioContext || window.webkitAudioContext)();
+        this.OfflineAudioContext = options.OfflineAudioContext ||
+            (typeof OfflineAudioContext !== 'undefined' ? OfflineAudioContext :
+                typeof window !== 'undefined' ? window.webkitOfflineAudioContext : null);
         this.isBuilt = false;
         
         // Default piano parameters - as specified
@@ -16,469 +32,1984 @@ class PianoModel {
         
         this.material = 'wood';
         
+        // Material definitions (built in and custom) that drive the sound
+        this.materialRegistry = options.materialRegistry || new MaterialRegistry();
+        
+        // Reference pitch and temperament
+        this.tuning = options.tuning || new Tuning();
+        
+        // Stretch tuning amount: 0 = plain equal temperament, 1 = full stretch for the string inharmonicity
+        this.stretchTuning = 0;
+        
+        // Tuning condition: 0 = freshly tuned unisons, 1 = long overdue for a tuner
+        this.tuningCondition = 0.2;
+        
+        // Damper (sustain) pedal position: 0 = up, 1 = fully down, values in between are half-pedal
+        this.sustainPedal = 0;
+        
+        // Below this the dampers rest on the strings; above fullPedal they are clear of them
+        this.damperThreshold = 0.1;
+        this.fullPedal = 0.85;
+        
+        // Soft (una corda) pedal position: 0 = up, 1 = fully down
+        this.softPedal = 0;
+        
+        // Pitch bend: -1 to 1, scaled by the bend range in semitones
+        this.pitchBend = 0;
+        this.pitchBendRange = 2;
+        
+        // Modulation wheel position (0 to 1) and the parameter it drives (see getModWheelDestinations)
+        this.modWheel = 0;
+        this.modWheelDestination = 'brightness';
+        
+        // Aftertouch: channel pressure (0 to 1) applies to every note, poly pressure to its own note.
+        // The destination and depth (0 to 1) are shared (see getAftertouchDestinations).
+        this.channelPressure = 0;
+        this.aftertouchDestination = 'brightness';
+        this.aftertouchDepth = 0.5;
+        
+        // Where the piano is heard from (see createPerspectives)
+        this.perspectives = this.createPerspectives();
+        this.perspective = 'player';
+        
+        // Sostenuto pedal: holds only the notes whose keys were down when it was pressed
+        this.sostenutoPedal = false;
+        this.sostenutoNotes = new Set();
+        
+        // Voice manager: at most this many notes sound at once, the weakest is stolen beyond that
+        this.maxPolyphony = 32;
+        
+        // Fade applied to a stolen note, in seconds (long enough not to click)
+        this.stealFadeTime = 0.03;
+        
+        // Level of the damper and key-return noises: 0 = off, 1 = full
+        this.releaseNoiseLevel = 0.5;
+        
+        // Seconds over which ringing notes glide to a rebuilt instrument's filter, stereo
+        // position and levels; 0 = they finish with the sound they were struck with
+        this.glideTime = 0;
+        
+        // Audio thread load reported by the browser (0 to 1), when it supports renderCapacity
+        this.renderLoad = null;
+        this.initRenderCapacity();
+        
+        // Output level of the build; each body applies its own build's level (see createBody)
+        this.masterLevel = 0.7;
+        
+        // Listening trim on top of the master level, in dB (see setLevelTrim)
+        this.levelTrim = 0;
+        
+        // Harmonic enhancement for large builds: each body has a waveshaper beside its dry
+        // path, driven by this amount (0 = none)
+        this.harmonicEnhancement = false;
+        this.distortionAmount = 0;
+        
         // Audio nodes that will be reused
         this.masterGain = this.audioContext.createGain();
-        this.masterGain.gain.value = 0.7;
-        this.masterGain.connect(this.audioContext.destination);
+        
+        // Output chain (EQ, reverb, compressor, limiter, meter); it lives as long as the context
+        this.masterBus = new MasterBus(this.audioContext);
+        this.masterGain.connect(this.masterBus.input);
+        
+        // Tap for the spectrum panel, taken before the master effects
+        this.analyser = this.audioContext.createAnalyser();
+        this.analyser.fftSize = 8192;
+        this.analyser.smoothingTimeConstant = 0.5;
+        this.masterGain.connect(this.analyser);
+        
+        // Most recently struck note ({ midiNote, time }), whose partials the spectrum panel marks
+        this.lastStruckNote = null;
+        
+        // Listener perspective: tone and level of everything the instrument radiates
+        this.perspectiveTone = this.audioContext.createBiquadFilter();
+        this.perspectiveTone.type = 'highshelf';
+        this.perspectiveTone.frequency.value = 3000;
+        this.perspectiveGain = this.audioContext.createGain();
+        this.perspectiveTone.connect(this.perspectiveGain);
+        this.perspectiveGain.connect(this.masterGain);
+        
+        // Soundboard/body resonance: each build has its own voice bus, which splits into the
+        // dry signal and a convolution with the build's impulse response, and its own output
+        // level and harmonic enhancement (see createBody). Bodies of earlier builds stay
+        // until the notes struck on them have finished.
+        this.body = null;
+        this.bodies = new Set();
+        this.bodyResonanceKey = null;
+        
+        // Karplus-Strong string renderer (caches one buffer per string)
+        this.stringSynth = new StringSynth(this.audioContext, { Worker: options.Worker });
+        
+        // Body impulse response synthesizer (caches one response per build)
+        this.bodyResonance = new BodyResonance(this.audioContext);
+        
+        // Damper and key-return noise synthesizer (caches one noise per register and build)
+        this.releaseNoise = new ReleaseNoise(this.audioContext);
+        
+        // Tremolo: one LFO shared by every note, its depth set by the modulation sources
+        this.tremoloRate = 5.5;
+        this.tremolo = this.audioContext.createOscillator();
+        this.tremolo.frequency.value = this.tremoloRate;
+        this.tremoloDepth = this.audioContext.createGain();
+        this.tremoloDepth.gain.value = 0;
+        this.tremolo.connect(this.tremoloDepth);
+        this.tremolo.start();
+        
+        // Vibrato: one LFO shared by every note, scaled per note by its vibratoDepth (in cents)
+        this.vibratoRate = 5;
+        this.vibrato = this.audioContext.createOscillator();
+        this.vibrato.frequency.value = this.vibratoRate;
+        this.vibrato.start();
         
         // Store active notes
         this.activeNotes = {};
+        
+        // Registers whose decay the acoustic profile reports: [name, MIDI note]
+        this.profileRegisters = [['Bass', 33], ['Tenor', 48], ['Middle', 60], ['Treble', 84], ['Top', 96]];
+        
+        this.applyPerspective();
+    }
+    
+    /**
+     * Update piano dimensions
+     */
+    setDimensions(length, width, height) {
+        this.applyDimensions(length, width, height);
+        
+        // If piano is already built, rebuild with new dimensions (ringing notes carry on)
+        if (this.isBuilt) {
+            this.buildPiano();
+        }
+    }
+    
+    /**
+     * Set the dimensions and material together and build once
+     * @param {Object} dimensions - { length, width, height } in cm
+     * @param {string|Object} material - Material id or weighted mix (default: the current material)
+     * @returns {Object} - Acoustic profile of the build (see getAcousticProfile)
+     */
+    buildWith(dimensions, material = this.material) {
+        this.applyDimensions(dimensions.length, dimensions.width, dimensions.height);
+        this.material = material;
+        return this.buildPiano();
+    }
+    
+    /**
+     * Store the dimensions and the output level and enhancement that follow from them
+     */
+    applyDimensions(length, width, height) {
+        this.dimensions.length = length;
+        this.dimensions.width = width;
+        this.dimensions.height = height;
+        
+        console.log(`Piano dimensions updated: length=${length}, width=${width}, height=${height}`);
+        
+        // The output level and enhancement take effect with the next build's body, so
+        // ringing notes keep those of the build they were struck on
+        const volumeFactor = (length * width * height) / (180 * 150 * 40);
+        
+        console.log(`Adjusting master volume to ${volumeFactor.toFixed(2)} based on piano dimensions`);
+        this.masterLevel = this.getMasterLevelFor(this.dimensions);
+        
+        // Add subtle harmonic enhancement for larger pianos
+        if (volumeFactor > 1.2) {
+            console.log(`Piano is large enough to add harmonic enhancement`);
+            // Use a gentler distortion curve for realistic harmonic enhancement
+            this.distortionAmount = volumeFactor * 30;
+            this.harmonicEnhancement = true;
+        } else {
+            this.distortionAmount = 0;
+            this.harmonicEnhancement = false;
+        }
+    }
+    
+    /**
+     * Get the master level a build of the given size plays at
+     *
+     * Larger pianos have more resonance and volume. Base reference is a medium
+     * grand piano (180 x 150 x 40 cm).
+     *
+     * @param {Object} dimensions - { length, width, height } in cm
+     * @returns {number} - Master gain
+     */
+    getMasterLevelFor(dimensions) {
+        const volumeFactor = (dimensions.length * dimensions.width * dimensions.height) / (180 * 150 * 40);
+        return Math.min(0.7 * volumeFactor, 1.2); // Cap at 1.2 (20% louder)
+    }
+    
+    /**
+     * Get the live master gain: the build's level with the listening trim applied
+     * @returns {number}
+     */
+    getOutputLevel() {
+        return this.masterLevel * Math.pow(10, this.levelTrim / 20);
+    }
+    
+    /**
+     * Trim the live output level, e.g. to match the loudness of two builds being compared
+     *
+     * The trim applies to the current build; notes still ringing on earlier builds
+     * keep the level they had. It is a listening aid: offline renders and the
+     * acoustic profile ignore it.
+     *
+     * @param {number} decibels - Gain change in dB (0 = none)
+     */
+    setLevelTrim(decibels) {
+        this.levelTrim = decibels;
+        if (this.body) {
+            // Short glide so trimming while playing does not click
+            this.body.level.gain.setTargetAtTime(this.getOutputLevel(), this.audioContext.currentTime, 0.02);
+        }
+    }
+    
+    /**
+     * Update piano material
+     * @param {string|Object} material - Material id, or a weighted mix such as { wood: 0.7, metal: 0.3 }
+     */
+    setMaterial(material) {
+        this.material = material;
+        
+        // If piano is already built, rebuild with new material
+        if (this.isBuilt) {
+            this.buildPiano();
+        }
+    }
+    
+    /**
+     * Get the definition of the current material, interpolated if it is a blend
+     * @returns {Object} - Material definition (see MaterialRegistry)
+     */
+    getMaterial() {
+        return this.materialRegistry.resolve(this.material);
+    }
+    
+    /**
+     * Get the design the piano is set to, in the form the estimates take one
+     * @returns {Object} - { dimensions: { length, width, height }, material }
+     */
+    getDesign() {
+        return { dimensions: this.dimensions, material: this.material };
+    }
+    
+    /**
+     * Build the piano based on current dimensions and material
+     * @returns {Object} - Acoustic profile of the build (see getAcousticProfile)
+     */
+    buildPiano() {
+        // Resume audio context if it's suspended (browser autoplay policy)
+        if (this.audioContext.state === 'suspended') {
+            this.audioContext.resume();
+        }
+        
+        // Set flag to indicate piano is built
+        this.isBuilt = true;
+        
+        console.log(`Building piano with dimensions: ${JSON.stringify(this.dimensions)} and material: ${this.getMaterial().name}`);
+        
+        // Load the body resonance for these dimensions and material
+        this.updateBodyResonance();
+        
+        // Render the new strings before they are played
+        this.prerenderStrings();
+        
+        // Notes that are still ringing keep their strings and body, and glide the rest if asked to
+        if (this.glideTime > 0) {
+            this.glideActiveNotes();
+        }
+        
+        // Report what this build sounds like
+        const profile = this.getAcousticProfile();
+        console.log(`Piano built with ${profile.tags.join(', ')}`);
+        
+        return profile;
+    }
+    
+    /**
+     * Render the strings of every mapped key in the background, from middle C
+     * outwards, so notes find their string cached instead of rendering it on the strike
+     * @returns {Promise<number>} - Number of strings rendered (see StringSynth.prerender)
+     */
+    prerenderStrings() {
+        if (!this.isBuilt) {
+            return Promise.resolve(0);
+        }
+        
+        const midiNotes = [];
+        for (let midiNote = 21; midiNote <= 108; midiNote++) {
+            if (this.isNoteMapped(midiNote)) {
+                midiNotes.push(midiNote);
+            }
+        }
+        midiNotes.sort((a, b) => Math.abs(a - 60) - Math.abs(b - 60));
+        
+        return this.stringSynth.prerender(midiNotes.map(midiNote =>
+            this.getStringParameters(midiNote, this.getNoteFrequency(midiNote))));
+    }
+    
+    /**
+     * Synthesize (or reuse) the body impulse response for the current build and
+     * give new notes a body that uses it, with the build's output level and enhancement
+     */
+    updateBodyResonance() {
+        const params = this.getBodyParameters();
+        const enhancement = this.harmonicEnhancement ? `${this.getMaterial().distortion} ${this.distortionAmount}` : 'none';
+        const key = `${this.bodyResonance.getCacheKey(params)}|level=${this.masterLevel}|enhancement=${enhancement}`;
+        
+        // Same response, level and enhancement as the loaded body - nothing to do
+        if (key === this.bodyResonanceKey) {
+            return;
+        }
+        
+        const impulseResponse = this.bodyResonance.getImpulseResponse(params);
+        
+        // Ringing notes stay on the body they were struck on; it is taken apart once they end
+        const previous = this.body;
+        this.body = this.createBody(impulseResponse);
+        this.bodyResonanceKey = key;
+        if (previous) {
+            this.retireBody(previous);
+        }
+        
+        console.log(`Body resonance loaded: ${impulseResponse.duration.toFixed(2)}s impulse response`);
+    }
+    
+    /**
+     * Create the voice bus of a build: notes connect to it, and it feeds both the
+     * dry path and the body convolver, then the build's output level and harmonic
+     * enhancement
+     *
+     * A fresh convolver per response also avoids swapping the buffer of a connected
+     * convolver, which some browsers refuse.
+     *
+     * @param {AudioBuffer} impulseResponse - Body impulse response
+     * @returns {Object} - { voiceBus, convolver, gain, level, dryGain, distortion, distortionGain,
+     *                     notes (note records still playing through it) }
+     */
+    createBody(impulseResponse) {
+        const voiceBus = this.audioContext.createGain();
+        const level = this.audioContext.createGain();
+        level.gain.value = this.getOutputLevel();
+        voiceBus.connect(level);
+        
+        const convolver = this.audioContext.createConvolver();
+        convolver.normalize = false;
+        convolver.buffer = impulseResponse;
+        
+        const gain = this.audioContext.createGain();
+        gain.gain.value = this.getBodyLevel();
+        
+        voiceBus.connect(convolver);
+        convolver.connect(gain);
+        gain.connect(level);
+        
+        // The enhancement is a waveshaper beside the dry path, so a glide can crossfade between them
+        const dryGain = this.audioContext.createGain();
+        dryGain.gain.value = this.harmonicEnhancement ? 0 : 1;
+        const distortion = this.audioContext.createWaveShaper();
+        distortion.oversample = '4x';
+        if (this.harmonicEnhancement) {
+            distortion.curve = this.makeDistortionCurve(this.distortionAmount);
+        }
+        const distortionGain = this.audioContext.createGain();
+        distortionGain.gain.value = this.harmonicEnhancement ? 1 : 0;
+        
+        level.connect(dryGain);
+        dryGain.connect(this.perspectiveTone);
+        level.connect(distortion);
+        distortion.connect(distortionGain);
+        distortionGain.connect(this.perspectiveTone);
+        
+        const body = { voiceBus, convolver, gain, level, dryGain, distortion, distortionGain, notes: new Set() };
+        this.bodies.add(body);
+        return body;
+    }
+    
+    /**
+     * Take a replaced body apart once no note plays through it any more
+     * @param {Object} body - Body from createBody
+     */
+    retireBody(body) {
+        if (body === this.body || body.notes.size > 0) return;
+        
+        this.bodies.delete(body);
+        
+        // Let the convolver's tail ring out first
+        setTimeout(() => {
+            body.voiceBus.disconnect();
+            body.convolver.disconnect();
+            body.gain.disconnect();
+            body.level.disconnect();
+            body.dryGain.disconnect();
+            body.distortion.disconnect();
+            body.distortionGain.disconnect();
+        }, body.convolver.buffer.duration * 1000);
+    }
+    
+    /**
+     * Glide the continuous parameters of ringing notes to the current build
+     *
+     * The strings, body response and enhancement curve a note was struck with
+     * stay as they are; its filter, stereo position, body level, output level and
+     * the mix of its enhancement move to the new values.
+     */
+    glideActiveNotes() {
+        const now = this.audioContext.currentTime;
+        const filterSettings = this.getMaterialFilters();
+        
+        Object.keys(this.activeNotes).forEach(key => {
+            const note = this.activeNotes[key];
+            
+            // Filters of other types cannot glide, so the note keeps the ones it has
+            const sameTypes = note.filters.length === filterSettings.length &&
+                note.filters.every((layer, i) => layer.filter.type === filterSettings[i].type);
+            if (sameTypes) {
+                note.filters.forEach((layer, i) => {
+                    this.glideParam(layer.filter.frequency, filterSettings[i].frequency, now);
+                    this.glideParam(layer.filter.gain, filterSettings[i].gain, now);
+                    this.glideParam(layer.filter.Q, filterSettings[i].Q, now);
+                    this.glideParam(layer.gain.gain, filterSettings[i].weight, now);
+                });
+            }
+            this.glideParam(note.panner.pan, this.getNotePan(note.midiNote), now);
+        });
+        
+        this.bodies.forEach(body => {
+            this.glideParam(body.gain.gain, this.getBodyLevel(), now);
+            this.glideParam(body.level.gain, this.getOutputLevel(), now);
+            
+            // A body built without enhancement has no curve to fade in
+            if (body.distortion.curve) {
+                this.glideParam(body.dryGain.gain, this.harmonicEnhancement ? 0 : 1, now);
+                this.glideParam(body.distortionGain.gain, this.harmonicEnhancement ? 1 : 0, now);
+            }
+        });
+    }
+    
+    /**
+     * Move a parameter to a new value over the glide time, or over a few
+     * milliseconds (just enough not to click) when gliding is off
+     * @param {AudioParam} param
+     * @param {number} value - Target value
+     * @param {number} time - Context time to start at
+     */
+    glideParam(param, value, time) {
+        // setTargetAtTime covers 95% of the way in three time constants
+        param.setTargetAtTime(value, time, Math.max(0.02, this.glideTime) / 3);
+    }
+    
+    /**
+     * Set how long ringing notes take to follow a rebuild
+     * @param {number} seconds - 0 (ringing notes keep the sound they were struck with) to 5
+     */
+    setGlideTime(seconds) {
+        this.glideTime = Math.max(0, Math.min(5, seconds));
+    }
+    
+    /**
+     * Describe how the current build sounds
+     *
+     * The figures are estimated from the same parameters the voices are built
+     * from, so they follow every change of dimensions, material and tuning.
+     *
+     * @returns {Object} - {
+     *     material, dimensions,
+     *     lowestFundamental,  // Lowest fundamental the body radiates, in Hz
+     *     decay,              // [{ register, midiNote, t60, clipped }] with t60 in seconds;
+     *                         // clipped when the rendered string is cut off before it falls by 60 dB
+     *     brightness,         // Spectral centroid of middle C in Hz
+     *     loudness,           // Output RMS of a medium middle C in dB (0 dB = full scale)
+     *     tags                // Character phrases, e.g. 'rich bass response'
+     * }
+     */
+    getAcousticProfile() {
+        const spectrum = this.getReferenceSpectrum();
+        
+        return {
+            material: this.getMaterial().name,
+            dimensions: { ...this.dimensions },
+            lowestFundamental: this.estimateLowestFundamental(),
+            decay: this.profileRegisters.map(([register, midiNote]) => {
+                const t60 = this.estimateDecayTime(midiNote);
+                return { register, midiNote, t60, clipped: t60 >= this.stringSynth.maxDuration };
+            }),
+            brightness: this.estimateBrightness(spectrum),
+            loudness: this.estimateLoudness(spectrum),
+            tags: this.getCharacterTags()
+        };
+    }
+    
+    /**
+     * Measure the loudness a design would have, without building it
+     * @param {Object} design - { dimensions: { length, width, height }, material }
+     * @returns {number} - RMS level in dB, as the acoustic profile's loudness
+     */
+    estimateLoudnessOf(design) {
+        return this.estimateLoudness(this.getReferenceSpectrum(design), design);
+    }
+    
+    /**
+     * Get the frequency of a note for the profile, falling back to equal
+     * temperament for keys a Scala mapping leaves out
+     */
+    getProfileFrequency(midiNote) {
+        const frequency = this.getNoteFrequency(midiNote);
+        return frequency !== null ? frequency : this.tuning.referencePitch * Math.pow(2, (midiNote - 69) / 12);
+    }
+    
+    /**
+     * Estimate the lowest fundamental the build radiates
+     *
+     * A soundboard radiates poorly below roughly c / (pi * d) for a board of
+     * size d, so a small case loses the fundamentals of the lowest keys and only
+     * their overtones are heard.
+     *
+     * @returns {number} - Frequency in Hz
+     */
+    estimateLowestFundamental() {
+        const keyFrequencies = [];
+        for (let midiNote = 21; midiNote <= 108; midiNote++) {
+            const frequency = this.getNoteFrequency(midiNote);
+            if (frequency !== null) {
+                keyFrequencies.push(frequency);
+            }
+        }
+        
+        const area = Math.max(0.2, (this.dimensions.length / 100) * (this.dimensions.width / 100));
+        const radiationLimit = 343 / (Math.PI * Math.sqrt(area));
+        
+        return Math.max(radiationLimit, Math.min(...keyFrequencies));
+    }
+    
+    /**
+     * Estimate how long a note takes to fall by 60 dB, prompt sound and aftersound together
+     * @param {number} midiNote - MIDI note number
+     * @returns {number} - Seconds, at most the longest string the synth renders
+     *                     (StringSynth.maxDuration), where notes are cut off
+     */
+    estimateDecayTime(midiNote) {
+        const decay = this.getStringParameters(midiNote, this.getProfileFrequency(midiNote));
+        const note = { startTime: 0, decay };
+        
+        // The envelope falls monotonically, so bisect for the -60 dB point
+        let low = 0;
+        let high = Math.min(decay.decayTime, this.stringSynth.maxDuration);
+        if (this.getStringDecay(note, high) > 0.001) {
+            return high;
+        }
+        for (let i = 0; i < 30; i++) {
+            const middle = (low + high) / 2;
+            if (this.getStringDecay(note, middle) > 0.001) {
+                low = middle;
+            } else {
+                high = middle;
+            }
+        }
+        
+        return high;
+    }
+    
+    /**
+     * Analyse a medium middle C shortly after the strike, as it leaves the note:
+     * the rendered string through the hammer filter of a medium blow (soft pedal up)
+     * and the material filters
+     * @param {Object} design - Design to analyse (default: the current one, see getDesign)
+     * @returns {Object} - { frequencies, magnitudes (DFT magnitude of each bin of a
+     *                     Hann-windowed frame), frameSize, fundamental }
+     */
+    getReferenceSpectrum(design = this.getDesign()) {
+        const frequency = this.getProfileFrequency(60);
+        const stringParameters = this.getStringParameters(60, frequency, design);
+        const buffer = this.stringSynth.getStringBuffer(stringParameters);
+        const samples = buffer.getChannelData(0);
+        const sampleRate = buffer.sampleRate;
+        
+        // Hann-windowed frame starting 20 ms in, past the hammer contact
+        const frameSize = 2048;
+        const offset = Math.min(Math.round(0.02 * sampleRate), Math.max(0, samples.length - frameSize));
+        const frame = new Float32Array(frameSize);
+        for (let i = 0; i < frameSize && offset + i < samples.length; i++) {
+            frame[i] = samples[offset + i] * 0.5 * (1 - Math.cos(2 * Math.PI * i / (frameSize - 1)));
+        }
+        
+        const binCount = frameSize / 2;
+        const frequencies = new Float32Array(binCount);
+        for (let bin = 0; bin < binCount; bin++) {
+            frequencies[bin] = bin * sampleRate / frameSize;
+        }
+        
+        // Hammer and material EQ, read from filters set up like a note's
+        const hammerFilter = this.audioContext.createBiquadFilter();
+        hammerFilter.type = 'lowpass';
+        hammerFilter.frequency.value = this.getHammerFilterFrequency(stringParameters, 0.7, 0);
+        const hammerResponse = new Float32Array(binCount);
+        hammerFilter.getFrequencyResponse(frequencies, hammerResponse, new Float32Array(binCount));
+        
+        // Parallel filter layers add up with their phases
+        const responseRe = new Float32Array(binCount);
+        const responseIm = new Float32Array(binCount);
+        this.createMaterialFilters(this.audioContext, design).forEach(layer => {
+            const layerMagnitude = new Float32Array(binCount);
+            const layerPhase = new Float32Array(binCount);
+            layer.filter.getFrequencyResponse(frequencies, layerMagnitude, layerPhase);
+            for (let bin = 0; bin < binCount; bin++) {
+                responseRe[bin] += layer.gain.gain.value * layerMagnitude[bin] * Math.cos(layerPhase[bin]);
+                responseIm[bin] += layer.gain.gain.value * layerMagnitude[bin] * Math.sin(layerPhase[bin]);
+            }
+        });
+        const response = responseRe.map((re, bin) => Math.hypot(re, responseIm[bin]));
+        
+        const magnitudes = new Float32Array(binCount);
+        for (let bin = 1; bin < binCount; bin++) {
+            // DFT of one bin by rotating a phasor
+            const step = 2 * Math.PI * bin / frameSize;
+            const cosStep = Math.cos(step);
+            const sinStep = Math.sin(step);
+            let re = 1;
+            let im = 0;
+            let sumRe = 0;
+            let sumIm = 0;
+            for (let i = 0; i < frameSize; i++) {
+                sumRe += frame[i] * re;
+                sumIm -= frame[i] * im;
+                const nextRe = re * cosStep - im * sinStep;
+                im = re * sinStep + im * cosStep;
+                re = nextRe;
+            }
+            
+            magnitudes[bin] = Math.sqrt(sumRe * sumRe + sumIm * sumIm) * response[bin] * hammerResponse[bin];
+        }
+        
+        return { frequencies, magnitudes, frameSize, fundamental: frequency };
+    }
+    
+    /**
+     * Measure the spectral centroid of middle C
+     * @param {Object} spectrum - Reference spectrum (see getReferenceSpectrum)
+     * @returns {number} - Centroid in Hz
+     */
+    estimateBrightness(spectrum) {
+        const { frequencies, magnitudes, fundamental } = spectrum;
+        
+        let weighted = 0;
+        let total = 0;
+        for (let bin = 1; bin < magnitudes.length; bin++) {
+            weighted += magnitudes[bin] * frequencies[bin];
+            total += magnitudes[bin];
+        }
+        
+        return total > 0 ? weighted / total : fundamental;
+    }
+    
+    /**
+     * Measure the output level of a medium middle C
+     *
+     * The note's spectrum goes on through the listener's tone and level, the body
+     * and the master gain. The body response has unit energy (see
+     * BodyResonance.normalize), so over a note's spread of partials it adds
+     * about its level squared to the power of the dry sound.
+     *
+     * @param {Object} spectrum - Reference spectrum (see getReferenceSpectrum)
+     * @param {Object} design - Design the spectrum is of (default: the current one, see getDesign)
+     * @returns {number} - RMS level in dB (0 dB = full scale)
+     */
+    estimateLoudness(spectrum, design = this.getDesign()) {
+        const { frequencies, magnitudes, frameSize } = spectrum;
+        const { level, brilliance } = this.perspectives[this.perspective];
+        
+        const tone = this.audioContext.createBiquadFilter();
+        tone.type = 'highshelf';
+        tone.frequency.value = this.perspectiveTone.frequency.value;
+        tone.gain.value = brilliance;
+        const toneResponse = new Float32Array(magnitudes.length);
+        tone.getFrequencyResponse(frequencies, toneResponse, new Float32Array(magnitudes.length));
+        
+        let power = 0;
+        for (let bin = 1; bin < magnitudes.length; bin++) {
+            const magnitude = magnitudes[bin] * toneResponse[bin];
+            power += magnitude * magnitude;
+        }
+        
+        // Parseval over both halves of the spectrum, undoing the Hann window's mean square of 3/8
+        const meanSquare = 2 * power / (frameSize * frameSize * 0.375);
+        const noteLevel = 0.7;
+        const gain = noteLevel * level * this.getMasterLevelFor(design.dimensions);
+        const bodyLevel = this.getBodyLevel(design);
+        
+        return 10 * Math.log10(Math.max(1e-12, meanSquare * gain * gain * (1 + bodyLevel * bodyLevel)));
+    }
+    
+    /**
+     * Describe the character of the build in a few phrases
+     * @returns {string[]} - The material's tone description, then what the dimensions add
+     */
+    getCharacterTags() {
+        const { length, width, height } = this.dimensions;
+        const toneDescription = this.getMaterial().toneDescription;
+        const tags = toneDescription ? [toneDescription] : [];
+        
+        // Length affects tone and sustain
+        if (length > 250) {
+            tags.push('rich bass response'); // Concert grand (275cm)
+        } else if (length > 200) {
+            tags.push('full bass extension'); // Grand piano (200-250cm)
+        } else if (length < 120) {
+            tags.push('clear, articulate attack'); // Baby grand or smaller
+        }
+        
+        // Width affects resonance and projection
+        if (width > 200) {
+            tags.push('powerful projection');
+        } else if (width > 170) {
+            tags.push('balanced resonance');
+        } else if (width < 120) {
+            tags.push('focused, direct sound');
+        }
+        
+        // Height affects tonal character
+        if (height > 100) {
+            tags.push('extended sustain'); // Tall upright or cabinet grand
+        } else if (height > 60) {
+            tags.push('smooth, gradual decay'); // Standard upright
+        } else if (height < 30) {
+            tags.push('quick decay'); // Low profile piano
+        }
+        
+        // Large builds get harmonic enhancement on the output
+        if ((length * width * height) / (180 * 150 * 40) > 1.2) {
+            tags.push('rich harmonic overtones');
+        }
+        
+        return tags;
+    }
+    
+    /**
+     * Get the level of the body resonance for a design and the current perspective
+     * @param {Object} design - Design (default: the current one, see getDesign)
+     * @returns {number} - Gain for the body convolver output
+     */
+    getBodyLevel(design = this.getDesign()) {
+        // Wider soundboards radiate more of the body resonance (0.2 to 0.5)
+        const level = 0.2 + Math.min(1, design.dimensions.width / 300) * 0.3;
+        return level * this.perspectives[this.perspective].bodyLevel;
+    }
+    
+    /**
+     * Derive the body impulse response parameters from the built dimensions and material
+     * @returns {Object} - Parameters for BodyResonance.createImpulseResponse
+     */
+    getBodyParameters() {
+        // Loss factor (damping), spectral tilt and modal density come from the material
+        const { lossFactor, brightness, modalDensity } = this.getMaterial().body;
+        
+        return {
+            length: this.dimensions.length,
+            width: this.dimensions.width,
+            height: this.dimensions.height,
+            lossFactor,
+            brightness,
+            modalDensity
+        };
+    }
+    
+    /**
+     * Play a note with the given MIDI note number
+     */
+    playNote(midiNote, velocity = 0.7) {
+        // First, ensure any existing note with this MIDI number is stopped
+        if (this.activeNotes[midiNote]) {
+            // Force immediate stop of the existing note
+            this.forceStopNote(midiNote);
+        }
+        
+        if (!this.isBuilt) {
+            console.warn('Piano not built yet. Build the piano first.');
+            return;
+        }
+        
+        // Keys the Scala keyboard mapping leaves out are silent
+        if (!this.isNoteMapped(midiNote)) {
+            return;
+        }
+        
+        // Make room for the new note if the polyphony limit is reached
+        this.stealVoices(this.maxPolyphony - 1);
+        
+        const note = this.createNote(this.audioContext, this.body.voiceBus, midiNote, velocity, this.audioContext.currentTime);
+        note.body = this.body;
+        this.body.notes.add(note);
+        this.activeNotes[midiNote] = note;
+        
+        // Live controllers apply from the strike on
+        this.tremoloDepth.connect(note.modGain.gain);
+        this.vibrato.connect(note.vibratoDepth);
+        this.applyPitchBend(note, note.startTime, 0);
+        this.applyModulation(note, note.startTime, 0);
+        this.lastStruckNote = { midiNote, time: note.startTime };
+        
+        // Free the note once every string has stopped, whether released, stolen or decayed away
+        let playingStrings = note.voices.length;
+        note.voices.forEach(voice => {
+            voice.source.onended = () => {
+                playingStrings--;
+                if (playingStrings === 0) {
+                    this.releaseVoice(midiNote, note);
+                }
+            };
+        });
+    }
+    
+    /**
+     * Build and start the voice graph of one note: strings -> filter -> noteGain -> destination
+     *
+     * Works in any audio context, so the same voices can be rendered offline.
+     *
+     * @param {BaseAudioContext} context - Context to create the nodes in
+     * @param {AudioNode} destination - Node the note connects to (the voice bus)
+     * @param {number} midiNote - MIDI note number
+     * @param {number} velocity - Note velocity, 0 to 1
+     * @param {number} startTime - Context time at which the hammer strikes
+     * @param {number} softPedal - Soft pedal position the note is struck with (default: the live pedal)
+     * @returns {Object} - Note record, as stored in activeNotes
+     */
+    createNote(context, destination, midiNote, velocity, startTime, softPedal = this.softPedal) {
+        // Calculate frequency from MIDI note number (including any stretch tuning)
+        const frequency = this.getNoteFrequency(midiNote);
+        
+        // Render (or reuse) the Karplus-Strong string for this note.
+        // Every string of the unison plays the same buffer, slightly detuned against the others.
+        const stringParameters = this.getStringParameters(midiNote, frequency);
+        const stringBuffer = this.stringSynth.getStringBuffer(stringParameters);
+        const unisonDetunes = this.getUnisonDetunes(midiNote);
+        const voices = unisonDetunes.map((detune, index) => {
+            const source = context.createBufferSource();
+            source.buffer = stringBuffer;
+            source.playbackRate.value = Math.pow(2, detune / 1200);
+            
+            // The hammer strikes all strings together, so they start in phase.
+            // With the una corda shift it misses one string of each trichord, which only rings in sympathy.
+            const missed = unisonDetunes.length === 3 && index === 2 ? softPedal * 0.7 : 0;
+            const stringGain = context.createGain();
+            stringGain.gain.value = (1 - missed) / unisonDetunes.length;
+            source.connect(stringGain);
+            
+            return { source, stringGain, detune };
+        });
+        
+        const noteGain = context.createGain();
+        
+        // Velocity and the una corda set how much of the strike's treble comes through
+        const hammerFilter = context.createBiquadFilter();
+        hammerFilter.type = 'lowpass';
+        hammerFilter.frequency.value = this.getHammerFilterFrequency(stringParameters, velocity, softPedal);
+        hammerFilter.Q.value = 0.5;
+        
+        const filters = this.createMaterialFilters(context);
+        
+        // Brightness and level the live controllers modulate (neutral until they move)
+        const brightnessFilter = context.createBiquadFilter();
+        brightnessFilter.type = 'highshelf';
+        brightnessFilter.frequency.value = 2500;
+        brightnessFilter.gain.value = 0;
+        const modGain = context.createGain();
+        
+        // Vibrato depth in cents, applied to every string of the unison
+        const vibratoDepth = context.createGain();
+        vibratoDepth.gain.value = 0;
+        voices.forEach(voice => vibratoDepth.connect(voice.source.detune));
+        
+        // Set up gain node for this note
+        noteGain.gain.value = 0;
+        
+        // Place the note where its strings lie across the instrument
+        const panner = context.createStereoPanner();
+        panner.pan.value = this.getNotePan(midiNote);
+        
+        // Connect nodes: strings -> hammer filter -> material filters -> brightness -> noteGain -> modGain -> panner -> voice bus (dry + body resonance) -> masterGain
+        voices.forEach(voice => voice.stringGain.connect(hammerFilter));
+        filters.forEach(layer => {
+            hammerFilter.connect(layer.filter);
+            layer.gain.connect(brightnessFilter);
+        });
+        brightnessFilter.connect(noteGain);
+        noteGain.connect(modGain);
+        modGain.connect(panner);
+        panner.connect(destination);
+        
+        // Apply envelope based on piano dimensions
+        const now = startTime;
+        
+        // Attack time: smaller height = faster attack (0.001 to 0.1 seconds)
+        const attackTime = Math.max(0.001, 0.1 - (this.dimensions.height / 100) * 0.099);
+        
+        const releaseTime = this.getReleaseTime();
+        
+        // The soft pedal takes up to a third off the level
+        const level = velocity * (1 - softPedal / 3);
+        
+        // Attack
+        noteGain.gain.setValueAtTime(0, now);
+        noteGain.gain.linearRampToValueAtTime(level, now + attackTime);
+        
+        // No sustain plateau: the string buffer carries the prompt and aftersound decay
+        
+        // Start the strings
+        voices.forEach(voice => voice.source.start(now));
+        
+        // Note data (all strings of the unison are released together)
+        return {
+            midiNote,
+            voices,
+            noteGain,
+            hammerFilter,
+            filters,
+            brightnessFilter,
+            modGain,
+            vibratoDepth,
+            panner,
+            releaseTime,
+            startTime: now,
+            attackEnd: now + attackTime,
+            level,
+            decay: stringParameters, // Prompt/aftersound decay, used to estimate the current loudness
+            body: null,               // Body (from createBody) the note plays through, set by playNote
+            releaseVelocity: 0.5,     // How fast the key was let go, 0 to 1
+            pressure: 0,              // Poly aftertouch on this key, 0 to 1
+            keyDown: true,    // Key is still held
+            sustained: false, // Key released but held by the sustain or sostenuto pedal
+            damped: false     // Damper has fallen, release in progress
+        };
+    }
+    
+    /**
+     * Get the material-specific EQ that follows the strings
+     *
+     * A blend of materials with different filter types gets one filter per type
+     * (see MaterialRegistry.blendFilters), run in parallel and mixed by weight.
+     *
+     * @param {Object} design - Design (default: the current one, see getDesign)
+     * @returns {Object[]} - { type, frequency, gain, Q, weight }, heaviest first
+     */
+    getMaterialFilters(design = this.getDesign()) {
+        const material = this.materialRegistry.resolve(design.material);
+        const filterCurves = material.filterLayers || [{ ...material.filter, weight: 1 }];
+        
+        // The cutoff moves up with the string length
+        return filterCurves.map(filterCurve => ({
+            type: filterCurve.type,
+            frequency: filterCurve.frequency + design.dimensions.length * filterCurve.frequencyPerCm,
+            gain: filterCurve.gain,
+            Q: filterCurve.Q,
+            weight: filterCurve.weight
+        }));
+    }
+    
+    /**
+     * Create a note's material EQ: one filter and mix gain per layer
+     * @param {BaseAudioContext} context - Context to create the nodes in
+     * @param {Object} design - Design (default: the current one, see getDesign)
+     * @returns {Object[]} - { filter, gain }, in the order of getMaterialFilters
+     */
+    createMaterialFilters(context, design = this.getDesign()) {
+        return this.getMaterialFilters(design).map(({ type, frequency, gain, Q, weight }) => {
+            const filter = context.createBiquadFilter();
+            filter.type = type;
+            filter.frequency.value = frequency;
+            filter.gain.value = gain;
+            filter.Q.value = Q;
+            
+            const layerGain = context.createGain();
+            layerGain.gain.value = weight;
+            filter.connect(layerGain);
+            
+            return { filter, gain: layerGain };
+        });
+    }
+    
+    /**
+     * Get a note's stereo position
+     *
+     * Notes spread from bass to treble across the keyboard; the spread grows with
+     * the built width (from 30% at the narrowest 120 cm build to full at 320 cm)
+     * and depends on where the listener is.
+     *
+     * @param {number} midiNote - MIDI note number
+     * @returns {number} - Pan, -1 (left) to 1 (right)
+     */
+    getNotePan(midiNote) {
+        // A0 (21) to C8 (108) across the full keyboard
+        const position = Math.max(-1, Math.min(1, (midiNote - 64.5) / 43.5));
+        const width = 0.3 + 0.7 * Math.max(0, Math.min(1, (this.dimensions.width - 120) / 200));
+        return position * width * this.perspectives[this.perspective].panWidth;
+    }
+    
+    /**
+     * Describe the listener perspectives
+     *
+     * panWidth scales (and for negative values mirrors) the keyboard image, level
+     * and brilliance (high shelf in dB) set the overall sound, bodyLevel how much of
+     * the soundboard and case resonance reaches the listener.
+     *
+     * @returns {Object} - Perspectives keyed by id
+     */
+    createPerspectives() {
+        return {
+            player: {
+                name: "Player's seat",
+                // Bass on the left, treble on the right; the open lid throws the highs away from the bench
+                panWidth: 0.8,
+                level: 1,
+                brilliance: -2,
+                bodyLevel: 1
+            },
+            audience: {
+                name: 'Audience, lid open',
+                // The keyboard points away from the hall, so the image is narrow and mirrored,
+                // but the lid reflects the treble and the room carries more of the body
+                panWidth: -0.3,
+                level: 0.75,
+                brilliance: 2,
+                bodyLevel: 1.4
+            },
+            mic: {
+                name: 'Mic over the strings',
+                // Spaced pair close to the strings: wide, present and dry
+                panWidth: 1,
+                level: 1.2,
+                brilliance: 4,
+                bodyLevel: 0.6
+            }
+        };
+    }
+    
+    /**
+     * Get the listener perspectives
+     * @returns {Object[]} - { id, name } for each perspective
+     */
+    getPerspectives() {
+        return Object.keys(this.perspectives).map(id => ({ id, name: this.perspectives[id].name }));
+    }
+    
+    /**
+     * Choose where the piano is heard from
+     * @param {string} perspective - Perspective id (see getPerspectives)
+     */
+    setPerspective(perspective) {
+        if (!this.perspectives[perspective]) {
+            throw new Error(`Unknown listener perspective "${perspective}"`);
+        }
+        
+        this.perspective = perspective;
+        this.applyPerspective();
+    }
+    
+    /**
+     * Apply the perspective's level, tone and body mix, and move sounding notes to their new place
+     */
+    applyPerspective() {
+        const { level, brilliance } = this.perspectives[this.perspective];
+        const now = this.audioContext.currentTime;
+        
+        // Short glide so switching while playing does not click
+        this.perspectiveGain.gain.setTargetAtTime(level, now, 0.02);
+        this.perspectiveTone.gain.setTargetAtTime(brilliance, now, 0.02);
+        this.bodies.forEach(body => body.gain.gain.setTargetAtTime(this.getBodyLevel(), now, 0.02));
+        
+        Object.keys(this.activeNotes).forEach(midiNote => {
+            this.activeNotes[midiNote].panner.pan.setTargetAtTime(this.getNotePan(parseInt(midiNote)), now, 0.02);
+        });
+    }
+    
+    /**
+     * Get the release time of a note once its damper falls
+     *
+     * Based on piano length (longer piano = longer sustain, but not too long):
+     * 0.1 seconds (tiny piano) to 0.8 seconds (huge piano). Shortened from the
+     * previous maximum of 5.0 seconds to prevent lingering sounds.
+     *
+     * @returns {number} - Release time in seconds
+     */
+    getReleaseTime() {
+        return 0.1 + (this.dimensions.length / 200) * 0.7;
+    }
+    
+    /**
+     * Steal notes until no more than maxNotes are sounding
+     *
+     * Notes whose key is up go first; among those the quietest is chosen, and
+     * the oldest when levels are equal.
+     *
+     * @param {number} maxNotes - Number of notes that may keep sounding
+     */
+    stealVoices(maxNotes) {
+        while (Object.keys(this.activeNotes).length > Math.max(0, maxNotes)) {
+            const now = this.audioContext.currentTime;
+            let victim = null;
+            let victimScore = null;
+            
+            Object.keys(this.activeNotes).forEach(key => {
+                const note = this.activeNotes[key];
+                const score = [note.keyDown ? 1 : 0, this.estimateNoteLevel(note, now), note.startTime];
+                
+                // Compare held state, then level, then start time
+                const difference = victimScore ? score.map((value, i) => value - victimScore[i]).find(d => d !== 0) : -1;
+                
+                if (difference < 0) {
+                    victim = parseInt(key);
+                    victimScore = score;
+                }
+            });
+            
+            console.log(`Polyphony limit reached: stealing note ${victim}`);
+            this.forceStopNote(victim, this.stealFadeTime);
+        }
+    }
+    
+    /**
+     * Estimate how loud a note is right now from its envelope and string decay
+     * @param {Object} note - Entry from activeNotes
+     * @param {number} now - Current audio context time
+     * @returns {number} - Approximate amplitude
+     */
+    estimateNoteLevel(note, now) {
+        return note.noteGain.gain.value * this.getStringDecay(note, now);
+    }
+    
+    /**
+     * Get how far a note's strings have decayed on their own
+     * @param {Object} note - Note record from createNote
+     * @param {number} time - Context time
+     * @returns {number} - Amplitude relative to the strike, 0 to 1
+     */
+    getStringDecay(note, time) {
+        const age = Math.max(0, time - note.startTime);
+        const { decayTime, promptDecayTime, aftersoundLevel } = note.decay;
+        
+        const aftersound = aftersoundLevel * Math.exp(-6.91 * age / decayTime);
+        const prompt = (1 - aftersoundLevel) * Math.exp(-6.91 * age / promptDecayTime);
+        
+        return aftersound + prompt;
+    }
+    
+    /**
+     * Remove a finished note and disconnect its nodes
+     * @param {number} midiNote - MIDI note number
+     * @param {Object} note - The note record that finished (the key may have been struck again since)
+     */
+    releaseVoice(midiNote, note) {
+        if (this.activeNotes[midiNote] === note) {
+            delete this.activeNotes[midiNote];
+        }
+        
+        note.voices.forEach(voice => voice.stringGain.disconnect());
+        note.noteGain.disconnect();
+        note.modGain.disconnect();
+        note.panner.disconnect();
+        this.tremoloDepth.disconnect(note.modGain.gain);
+        this.vibrato.disconnect(note.vibratoDepth);
+        note.vibratoDepth.disconnect();
+        
+        if (note.body) {
+            note.body.notes.delete(note);
+            this.retireBody(note.body);
+        }
+    }
+    
+    /**
+     * Set the maximum number of notes that may sound at once
+     * @param {number} maxPolyphony - Voice limit (at least 1)
+     */
+    setMaxPolyphony(maxPolyphony) {
+        this.maxPolyphony = Math.max(1, Math.round(maxPolyphony));
+        
+        // Steal straight away if the new limit is below the current voice count
+        this.stealVoices(this.maxPolyphony);
+    }
+    
+    /**
+     * Start listening for audio thread load where the browser reports it
+     */
+    initRenderCapacity() {
+        const renderCapacity = this.audioContext.renderCapacity;
+        if (!renderCapacity || typeof renderCapacity.start !== 'function') return;
+        
+        try {
+            renderCapacity.addEventListener('update', (e) => {
+                this.renderLoad = e.averageLoad;
+            });
+            renderCapacity.start({ updateInterval: 1 });
+        } catch (e) {
+            console.warn('Render capacity is not available:', e);
+        }
+    }
+    
+    /**
+     * Get the current voice count and CPU pressure
+     *
+     * CPU pressure is the audio thread load where the browser reports it,
+     * otherwise the share of the polyphony limit in use.
+     *
+     * @returns {Object} - { voices, maxPolyphony, cpuLoad (0 to 1), measured }
+     */
+    getVoiceStats() {
+        const voices = Object.keys(this.activeNotes).length;
+        const measured = this.renderLoad !== null;
+        
+        return {
+            voices,
+            maxPolyphony: this.maxPolyphony,
+            cpuLoad: measured ? this.renderLoad : voices / this.maxPolyphony,
+            measured
+        };
+    }
+    
+    /**
+     * Derive the Karplus-Strong string parameters for a note from a design's
+     * dimensions and material
+     *
+     * Strings are rendered for a full blow of the material's hammer (see
+     * StringSynth.createHammerExcitation), so each key needs one buffer per build;
+     * softer blows and the una corda are darkened by the note's hammer filter (see
+     * getHammerFilterFrequency).
+     *
+     * @param {number} midiNote - MIDI note number
+     * @param {number} frequency - Fundamental frequency in Hz
+     * @param {Object} design - Design (default: the current one, see getDesign)
+     * @returns {Object} - Parameters for StringSynth.renderString
+     */
+    getStringParameters(midiNote, frequency, design = this.getDesign()) {
+        const { length, height } = design.dimensions;
+        
+        // Loop filter brightness, decay scaling, hammer hardness and the two-stage decay
+        // (prompt decay as a fraction of the aftersound, aftersound level) come from the material
+        const string = this.materialRegistry.resolve(design.material).string;
+        const { decayScale, promptRatio } = string;
+        const { hardness } = string;
+        let { brightness, aftersoundLevel } = string;
+        
+        // Longer strings sustain longer and lose less of their fundamental
+        // Base reference is a medium grand piano (180 cm)
+        const lengthFactor = Math.sqrt(length / 180);
+        
+        // Taller bodies add sustain (0.8x at 0 cm to 1.3x at 100 cm)
+        const heightFactor = 0.8 + height / 200;
+        
+        // Aftersound: low strings ring for tens of seconds, the top octave for a couple of seconds
+        const decayTime = 30 * Math.pow(frequency / 27.5, -0.55) * lengthFactor * heightFactor * decayScale;
+        
+        // Prompt sound: the vertical string motion couples strongly into the soundboard and
+        // is used up quickly. A longer string holds on to it a little longer, and a deeper
+        // case passes more energy on to the aftersound.
+        const promptDecayTime = decayTime * promptRatio * Math.min(1.5, lengthFactor);
+        aftersoundLevel = Math.min(0.6, aftersoundLevel * heightFactor);
+        
+        // Shorter strings are brighter, longer strings warmer
+        brightness = Math.max(0, Math.min(1, brightness - (length - 180) / 600));
+        
+        return {
+            frequency,
+            decayTime,
+            promptDecayTime,
+            aftersoundLevel,
+            brightness,
+            inharmonicity: this.getInharmonicity(midiNote),
+            hardness,
+            seed: midiNote
+        };
+    }
+    
+    /**
+     * Get the cutoff of the lowpass that gives a rendered string the timbre of a softer blow
+     *
+     * This approximates the hammer of a softer blow, which is not rendered: only
+     * its spectral tilt is reproduced, not its longer contact or rounder pulse.
+     * The rendered excitation already carries the tilt of a full blow. The filter
+     * adds what is missing, so the pair falls off from about where the hammer's own
+     * tilt would for this velocity; the una corda shift brings the softer, less
+     * compacted felt into play.
+     *
+     * @param {Object} stringParameters - Parameters the string was rendered with (see getStringParameters)
+     * @param {number} velocity - Note velocity, 0 to 1
+     * @param {number} softPedal - Soft pedal position (default: the live pedal)
+     * @returns {number} - Cutoff in Hz
+     */
+    getHammerFilterFrequency(stringParameters, velocity, softPedal = this.softPedal) {
+        const rendered = this.stringSynth.getHammerCutoff(1, stringParameters.hardness);
+        const played = this.stringSynth.getHammerCutoff(
+            Math.max(0, Math.min(1, velocity)),
+            stringParameters.hardness * (1 - 0.4 * softPedal)
+        );
+        
+        if (played >= rendered) {
+            return 20000;
+        }
+        return Math.min(20000, 1 / Math.sqrt(1 / (played * played) - 1 / (rendered * rendered)));
+    }
+    
+    /**
+     * Get the detune of each string in a note's unison
+     *
+     * One string in the low bass, two in the tenor, three from C4 up. The spread
+     * depends on how well the material holds a tuning and on the tuning condition;
+     * strings within a fraction of a cent are pulled into step by the bridge
+     * coupling, so a freshly tuned unison barely beats.
+     *
+     * @param {number} midiNote - MIDI note number
+     * @returns {number[]} - Detune of each string in cents
+     */
+    getUnisonDetunes(midiNote) {
+        const stringCount = midiNote < 30 ? 1 : (midiNote < 48 ? 2 : 3);
+        if (stringCount === 1) return [0];
+        
+        // Spread in cents between the outer strings of a freshly tuned unison
+        const materialSpread = this.getMaterial().string.unisonSpread;
+        
+        const spread = materialSpread + this.tuningCondition * 8;
+        const couplingWidth = 0.25;
+        
+        // Scatter each note's unison differently (but repeatably) so chords do not beat in lockstep
+        const random = SeededRandom.create(midiNote + 1000);
+        
+        const detunes = [];
+        for (let i = 0; i < stringCount; i++) {
+            const position = i / (stringCount - 1) - 0.5;
+            const offset = spread * (position * (0.6 + 0.8 * random()) + 0.15 * (random() * 2 - 1));
+            const pulled = Math.sqrt(Math.max(0, offset * offset - couplingWidth * couplingWidth));
+            detunes.push(Math.sign(offset) * pulled);
+        }
+        
+        return detunes;
+    }
+    
+    /**
+     * Set the tuning condition used for the unison detune
+     * @param {number} condition - 0 (freshly tuned) to 1 (badly out of tune)
+     */
+    setTuningCondition(condition) {
+        this.tuningCondition = Math.max(0, Math.min(1, condition));
+    }
+    
+    /**
+     * Get the fundamental frequency for a MIDI note: the temperament at the
+     * reference pitch (or the loaded Scala scale), plus any stretch tuning
+     * @param {number} midiNote - MIDI note number
+     * @returns {number|null} - Frequency in Hz, or null if the key is unmapped
+     */
+    getNoteFrequency(midiNote) {
+        const frequency = this.tuning.getFrequency(midiNote);
+        if (frequency === null) return null;
+        
+        const cents = this.getStretchOffset(midiNote);
+        return frequency * Math.pow(2, cents / 1200);
+    }
+    
+    /**
+     * Check whether a key has a pitch in the current tuning
+     * @param {number} midiNote - MIDI note number
+     * @returns {boolean}
+     */
+    isNoteMapped(midiNote) {
+        return this.tuning.getFrequency(midiNote) !== null;
+    }
+    
+    /**
+     * Set the frequency of A4
+     * @param {number} frequency - Reference pitch in Hz (e.g. 415, 432, 440, 442)
+     */
+    setReferencePitch(frequency) {
+        this.tuning.setReferencePitch(frequency);
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Select a temperament and the tonic it is centred on
+     * @param {string} temperament - Temperament id (see Tuning.getTemperaments)
+     * @param {number} tonic - Pitch class of the tonic, 0 (C) to 11 (B)
+     */
+    setTemperament(temperament, tonic) {
+        this.tuning.setTemperament(temperament, tonic);
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Load a Scala scale (.scl) and tune to it
+     * @param {string} text - File contents
+     * @throws {Error} - If the file cannot be parsed
+     */
+    loadScala(text) {
+        this.tuning.loadScala(text);
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Load a Scala keyboard mapping (.kbm)
+     * @param {string} text - File contents
+     * @throws {Error} - If the file cannot be parsed
+     */
+    loadKeyboardMapping(text) {
+        this.tuning.loadKeyboardMapping(text);
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Drop the Scala scale and mapping and return to equal temperament
+     */
+    clearScala() {
+        this.tuning.clearScala();
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Get the inharmonicity coefficient B of a note's string
+     *
+     * Stiffness rises steeply towards the short treble strings and again in the
+     * bass, where short instruments have to use thick, stiff wound strings.
+     * B scales roughly with 1 / length^2 for strings of the same pitch, so a
+     * baby grand is far more inharmonic than a concert grand (275 cm).
+     *
+     * @param {number} midiNote - MIDI note number
+     * @returns {number} - B, partial n sits at n * f * sqrt(1 + B * n^2)
+     */
+    getInharmonicity(midiNote) {
+        const treble = 1e-4 * Math.exp(0.085 * (midiNote - 60));
+        const bass = 2e-4 * Math.exp(-0.12 * (midiNote - 21));
+        const lengthScale = Math.pow(275 / Math.max(20, this.dimensions.length), 2);
+        
+        return Math.min(0.02, (treble + bass) * lengthScale);
+    }
+    
+    /**
+     * Get where a note's partials lie for the current build
+     * @param {number} midiNote - MIDI note number
+     * @param {number} count - Number of partials
+     * @returns {number[]} - Frequencies in Hz (empty if the key is unmapped)
+     */
+    getPartialFrequencies(midiNote, count = 16) {
+        const frequency = this.getNoteFrequency(midiNote);
+        if (frequency === null) return [];
+        
+        const inharmonicity = this.getInharmonicity(midiNote);
+        return Array.from({ length: count }, (_, i) => {
+            const n = i + 1;
+            return n * frequency * Math.sqrt(1 + inharmonicity * n * n);
+        });
+    }
+    
+    /**
+     * Get the stretch-tuning offset of a note relative to equal temperament
+     *
+     * Tuners set each octave so the lower note's 2nd partial beats with the upper
+     * note's fundamental. With inharmonic strings that widens every octave a little,
+     * which accumulates into the Railsback curve: flat bass, sharp treble.
+     *
+     * @param {number} midiNote - MIDI note number
+     * @returns {number} - Offset in cents (0 when stretch tuning is off)
+     */
+    getStretchOffset(midiNote) {
+        if (!this.stretchTuning) return 0;
+        
+        // Cents each semitone adds: 1/12 of the octave widening at that note.
+        // Octaves are matched on the 6th:3rd partials in the bass, 4th:2nd in
+        // the middle and 2nd:1st in the treble, as an aural tuner would.
+        const semitoneStretch = (note) => {
+            const inharmonicity = this.getInharmonicity(note);
+            const partial = note < 48 ? 6 : (note < 72 ? 4 : 2);
+            const lower = 1 + inharmonicity * partial * partial;
+            const upper = 1 + inharmonicity * (partial / 2) * (partial / 2);
+            return 1200 * Math.log2(Math.sqrt(lower / upper)) / 12;
+        };
+        
+        // Accumulate outwards from A4, which stays at the reference pitch
+        let cents = 0;
+        for (let note = 69; note < midiNote; note++) {
+            cents += semitoneStretch(note);
+        }
+        for (let note = midiNote; note < 69; note++) {
+            cents -= semitoneStretch(note);
+        }
+        
+        return cents * this.stretchTuning;
+    }
+    
+    /**
+     * Set how much stretch tuning to apply
+     * @param {number} amount - 0 (none) to 1 (full stretch for this build)
+     */
+    setStretchTuning(amount) {
+        this.stretchTuning = Math.max(0, Math.min(1, amount));
+        this.prerenderStrings();
+    }
+    
+    /**
+     * Release the key of a currently playing note
+     *
+     * While the sustain pedal is down, or the sostenuto pedal caught this note,
+     * the note keeps ringing (and is damped when the pedal lifts); otherwise its
+     * damper falls straight away. Either way the key knocks as it returns.
+     *
+     * @param {number} midiNote - MIDI note number
+     * @param {number} releaseVelocity - How fast the key was let go, 0 to 1 (MIDI note-off velocity)
+     */
+    stopNote(midiNote, releaseVelocity = 0.5) {
+        const note = this.activeNotes[midiNote];
+        // A key that is already up (e.g. held only by a pedal) has nothing left to release
+        if (!note || !note.keyDown) return;
+        
+        note.keyDown = false;
+        note.releaseVelocity = Math.max(0, Math.min(1, releaseVelocity));
+        this.playKeyReturnNoise(note, this.audioContext.currentTime);
+        this.updateReleasedNote(midiNote);
+    }
+    
+    /**
+     * Decide what happens to a note whose key is up, given the current pedals
+     */
+    updateReleasedNote(midiNote) {
+        const note = this.activeNotes[midiNote];
+        if (!note || note.keyDown || note.damped) return;
+        
+        if (this.sostenutoNotes.has(midiNote)) {
+            // The sostenuto holds the damper fully clear of the strings
+            note.sustained = true;
+            this.holdNoteGain(note, this.audioContext.currentTime);
+            return;
+        }
+        
+        if (this.sustainPedal >= this.damperThreshold) {
+            note.sustained = true;
+            this.applyHalfPedal(note);
+            return;
+        }
+        
+        this.dampNote(midiNote);
+    }
+    
+    /**
+     * Let a note's damper fall: apply the release envelope and clean up afterwards
+     */
+    dampNote(midiNote) {
+        const note = this.activeNotes[midiNote];
+        if (!note || note.damped) return;
+        
+        note.damped = true;
+        note.sustained = false;
+        
+        const now = this.audioContext.currentTime;
+        this.playDamperNoise(note, now);
+        
+        // Apply release envelope
+        note.noteGain.gain.cancelScheduledValues(now);
+        note.noteGain.gain.setValueAtTime(note.noteGain.gain.value, now);
+        note.noteGain.gain.linearRampToValueAtTime(0, now + note.releaseTime);
+        
+        // Stop the strings after release with a small additional buffer to prevent pops.
+        // The strings' onended handler removes the note from activeNotes.
+        const stopTime = now + note.releaseTime + 0.15; // Add a bit more time after the release
+        try {
+            note.voices.forEach(voice => voice.source.stop(stopTime));
+        } catch (e) {
+            console.warn('Error stopping strings in stopNote:', e);
+        }
+    }
+    
+    /**
+     * Play the knock of a key returning to rest
+     * @param {Object} note - Note record from createNote
+     * @param {number} time - Context time of the release
+     */
+    playKeyReturnNoise(note, time) {
+        if (this.releaseNoiseLevel <= 0) return;
+        
+        // A fast release knocks harder, and a key let go straight after the strike is still bouncing
+        const heldTime = Math.max(0, time - note.startTime);
+        const level = 0.04 * Math.pow(note.releaseVelocity, 1.5) * (0.7 + 0.3 * Math.exp(-heldTime / 0.3));
+        
+        const buffer = this.releaseNoise.getKeyReturnNoise(this.getReleaseNoiseParameters());
+        this.playReleaseTransient(note, buffer, level, time);
+    }
+    
+    /**
+     * Play the thunk of a damper landing on its strings
+     * @param {Object} note - Note record from createNote
+     * @param {number} time - Context time the damper falls
+     */
+    playDamperNoise(note, time) {
+        if (this.releaseNoiseLevel <= 0) return;
+        
+        // The felt catches whatever energy is left in the strings: loud after a short
+        // note, faint after a long one that has died away
+        const energy = note.level * this.getStringDecay(note, time);
+        const level = 0.06 * (0.4 + 0.6 * note.releaseVelocity) * (0.3 + 0.7 * Math.sqrt(energy));
+        
+        // Quarter-octave steps are close enough for the damper felt and keep the cache small
+        const frequency = 27.5 * Math.pow(2, Math.round(Math.log2(note.decay.frequency / 27.5) * 4) / 4);
+        const buffer = this.releaseNoise.getDamperNoise({ ...this.getReleaseNoiseParameters(), frequency });
+        this.playReleaseTransient(note, buffer, level, time);
+    }
+    
+    /**
+     * Play a release noise from the note's position (so it also excites the body)
+     */
+    playReleaseTransient(note, buffer, level, time) {
+        const context = note.panner.context;
+        const source = context.createBufferSource();
+        source.buffer = buffer;
+        
+        const gain = context.createGain();
+        gain.gain.value = level * this.releaseNoiseLevel;
+        
+        source.connect(gain);
+        gain.connect(note.panner);
+        source.onended = () => gain.disconnect();
+        source.start(time);
+    }
+    
+    /**
+     * Get the colour of the release noises for the current build
+     * @returns {Object} - { bodySize, hardness, brightness } for ReleaseNoise
+     */
+    getReleaseNoiseParameters() {
+        const { length, width, height } = this.dimensions;
+        const material = this.getMaterial();
+        
+        return {
+            // Case volume relative to a large concert grand
+            bodySize: Math.min(1, Math.sqrt((length * width * height) / (250 * 300 * 60))),
+            hardness: material.string.hardness,
+            brightness: material.body.brightness
+        };
+    }
+    
+    /**
+     * Set the level of the damper and key-return noises
+     * @param {number} level - 0 (off) to 1
+     */
+    setReleaseNoiseLevel(level) {
+        this.releaseNoiseLevel = Math.max(0, Math.min(1, level));
+    }
+    
+    /**
+     * Set the sustain (damper) pedal position
+     *
+     * Lifting the pedal damps every note whose key is already up. Between the
+     * damper threshold and full pedal the dampers graze the strings, so held notes
+     * die away faster the shallower the pedal is.
+     *
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    setSustainPedal(value) {
+        this.sustainPedal = Math.max(0, Math.min(1, value));
+        
+        Object.keys(this.activeNotes).forEach(key => {
+            if (this.activeNotes[key].sustained) {
+                this.updateReleasedNote(parseInt(key));
+            }
+        });
+    }
+    
+    /**
+     * Set the soft (una corda) pedal position
+     *
+     * Shifting the action makes the hammers strike softer felt and miss one string
+     * of each trichord, so notes played while it is down are darker and quieter.
+     *
+     * @param {number} value - 0 (up) to 1 (fully down)
+     */
+    setSoftPedal(value) {
+        this.softPedal = Math.max(0, Math.min(1, value));
     }
     
     /**
-     * Update piano dimensions
+     * Set the pitch bend and retune every sounding note
+     * @param {number} value - -1 (full bend down) to 1 (full bend up)
      */
-    setDimensions(length, width, height) {
-        this.dimensions.length = length;
-        this.dimensions.width = width;
-        this.dimensions.height = height;
+    setPitchBend(value) {
+        this.pitchBend = Math.max(-1, Math.min(1, value));
         
-        console.log(`Piano dimensions updated: length=${length}, width=${width}, height=${height}`);
+        const now = this.audioContext.currentTime;
+        Object.keys(this.activeNotes).forEach(key => this.applyPitchBend(this.activeNotes[key], now, 0.01));
+    }
+    
+    /**
+     * Set how far a full pitch bend goes
+     * @param {number} semitones - 0 to 24
+     */
+    setPitchBendRange(semitones) {
+        this.pitchBendRange = Math.max(0, Math.min(24, semitones));
+        this.setPitchBend(this.pitchBend);
+    }
+    
+    /**
+     * Retune a note's strings to the current pitch bend
+     *
+     * The strings are buffers, so bending changes their playback rate (each keeps
+     * its unison detune on top).
+     *
+     * @param {Object} note - Note record from createNote
+     * @param {number} time - Context time to start at
+     * @param {number} timeConstant - Smoothing between controller steps, in seconds (0 = at once)
+     */
+    applyPitchBend(note, time, timeConstant) {
+        const bendCents = this.pitchBend * this.pitchBendRange * 100;
         
-        // If piano is already built, rebuild with new dimensions
-        if (this.isBuilt) {
-            // Stop all notes before rebuilding
-            this.stopAllNotes();
-            
-            // Apply new dimensions to master gain - realistic version
-            // Larger pianos have more resonance and volume
-            // Base reference is a medium grand piano (180 x 150 x 40 cm)
-            const volumeFactor = (length * width * height) / (180 * 150 * 40); // Increased sensitivity
-            
-            console.log(`Adjusting master volume to ${volumeFactor.toFixed(2)} based on piano dimensions`);
-            this.masterGain.gain.value = Math.min(0.7 * volumeFactor, 1.2); // Cap at 1.2 (20% louder)
-            
-            // Add subtle harmonic enhancement for larger pianos
-            if (volumeFactor > 1.2) {
-                console.log(`Piano is large enough to add harmonic enhancement`);
-                if (!this.distortion) {
-                    this.distortion = this.audioContext.createWaveShaper();
-                    // Use a gentler distortion curve for realistic harmonic enhancement
-                    this.distortion.curve = this.makeDistortionCurve(volumeFactor * 30);
-                    this.distortion.oversample = '4x';
-                    
-                    // Insert distortion between masterGain and destination
-                    this.masterGain.disconnect();
-                    this.masterGain.connect(this.distortion);
-                    this.distortion.connect(this.audioContext.destination);
-                } else {
-                    // Update distortion curve
-                    this.distortion.curve = this.makeDistortionCurve(volumeFactor * 30);
-                }
-            } else if (this.distortion) {
-                // Remove distortion for smaller pianos
-                this.masterGain.disconnect();
-                this.distortion = null;
-                this.masterGain.connect(this.audioContext.destination);
+        note.voices.forEach(voice => {
+            const rate = Math.pow(2, (voice.detune + bendCents) / 1200);
+            if (timeConstant > 0) {
+                voice.source.playbackRate.setTargetAtTime(rate, time, timeConstant);
+            } else {
+                voice.source.playbackRate.setValueAtTime(rate, time);
             }
-            
-            this.buildPiano();
-        }
+        });
     }
     
     /**
-     * Update piano material
+     * Get the parameters the modulation wheel can drive
+     * @returns {Object[]} - { id, name } for each destination
      */
-    setMaterial(material) {
-        this.material = material;
-        
-        // If piano is already built, rebuild with new material
-        if (this.isBuilt) {
-            this.buildPiano();
-        }
+    getModWheelDestinations() {
+        return [
+            { id: 'brightness', name: 'Brightness' },
+            { id: 'tremolo', name: 'Tremolo depth' },
+            { id: 'lid', name: 'Open lid' }
+        ];
     }
     
     /**
-     * Build the piano based on current dimensions and material
+     * Choose what the modulation wheel drives
+     * @param {string} destination - Destination id (see getModWheelDestinations)
      */
-    buildPiano() {
-        // Resume audio context if it's suspended (browser autoplay policy)
-        if (this.audioContext.state === 'suspended') {
-            this.audioContext.resume();
+    setModWheelDestination(destination) {
+        if (!this.getModWheelDestinations().some(option => option.id === destination)) {
+            throw new Error(`Unknown modulation wheel destination "${destination}"`);
         }
         
-        // Set flag to indicate piano is built
-        this.isBuilt = true;
-        
-        console.log(`Building piano with dimensions: ${JSON.stringify(this.dimensions)} and material: ${this.material}`);
-        
-        // Stop any active notes immediately (without release phase)
-        // This prevents sounds from lingering when rebuilding the piano
-        this.stopAllNotes(true);
-        
-        // Provide realistic feedback about the piano's sound characteristics
-        let soundDescription = '';
-        
-        // Describe sound based on material - realistic descriptions
-        switch (this.material) {
-            case 'wood':
-                soundDescription = 'warm, resonant tone with rich overtones';
-                break;
-            case 'metal':
-                soundDescription = 'bright, clear tone with extended harmonics';
-                break;
-            case 'glass':
-                soundDescription = 'crystalline, pure tone with transparent sound';
-                break;
-            case 'plastic':
-                soundDescription = 'balanced, modern tone with consistent response';
-                break;
-        }
+        this.modWheelDestination = destination;
+        this.updateModulation();
+    }
+    
+    /**
+     * Set the modulation wheel position and apply it to every sounding note
+     * @param {number} value - 0 to 1
+     */
+    setModWheel(value) {
+        this.modWheel = Math.max(0, Math.min(1, value));
+        this.updateModulation();
+    }
+    
+    /**
+     * Apply the modulation sources to the tremolo and to every sounding note
+     */
+    updateModulation() {
+        const now = this.audioContext.currentTime;
         
-        // Describe sound based on dimensions - realistic version
-        const volumeFactor = (this.dimensions.length * this.dimensions.width * this.dimensions.height) / (180 * 150 * 40);
+        // Up to +-50% level swing at full depth
+        const tremolo = this.modWheelDestination === 'tremolo' ? this.modWheel : 0;
+        this.tremoloDepth.gain.setTargetAtTime(0.5 * tremolo, now, 0.02);
         
-        // Length affects tone and sustain
-        if (this.dimensions.length > 250) {
-            soundDescription += ', rich bass response'; // Concert grand (275cm)
-        } else if (this.dimensions.length > 200) {
-            soundDescription += ', full bass extension'; // Grand piano (200-250cm)
-        } else if (this.dimensions.length < 120) {
-            soundDescription += ', clear, articulate attack'; // Baby grand or smaller
+        Object.keys(this.activeNotes).forEach(key => this.applyModulation(this.activeNotes[key], now, 0.02));
+    }
+    
+    /**
+     * Get the parameters aftertouch can drive
+     * @returns {Object[]} - { id, name } for each destination
+     */
+    getAftertouchDestinations() {
+        return [
+            { id: 'brightness', name: 'Brightness' },
+            { id: 'vibrato', name: 'Vibrato' },
+            { id: 'swell', name: 'Swell' }
+        ];
+    }
+    
+    /**
+     * Choose what aftertouch drives
+     * @param {string} destination - Destination id (see getAftertouchDestinations)
+     */
+    setAftertouchDestination(destination) {
+        if (!this.getAftertouchDestinations().some(option => option.id === destination)) {
+            throw new Error(`Unknown aftertouch destination "${destination}"`);
         }
         
-        // Width affects resonance and projection
-        if (this.dimensions.width > 200) {
-            soundDescription += ', powerful projection';
-        } else if (this.dimensions.width > 170) {
-            soundDescription += ', balanced resonance';
-        } else if (this.dimensions.width < 120) {
-            soundDescription += ', focused, direct sound';
-        }
+        this.aftertouchDestination = destination;
+        this.updateModulation();
+    }
+    
+    /**
+     * Set how strongly full aftertouch moves its destination
+     * @param {number} depth - 0 (off) to 1
+     */
+    setAftertouchDepth(depth) {
+        this.aftertouchDepth = Math.max(0, Math.min(1, depth));
+        this.updateModulation();
+    }
+    
+    /**
+     * Set the channel pressure, which applies to every sounding note
+     * @param {number} value - 0 to 1
+     */
+    setChannelPressure(value) {
+        this.channelPressure = Math.max(0, Math.min(1, value));
+        this.updateModulation();
+    }
+    
+    /**
+     * Set the poly aftertouch of one key, which applies to that note only
+     * @param {number} midiNote - MIDI note number
+     * @param {number} value - 0 to 1
+     */
+    setPolyPressure(midiNote, value) {
+        const note = this.activeNotes[midiNote];
+        if (!note) return;
         
-        // Height affects tonal character
-        if (this.dimensions.height > 100) {
-            soundDescription += ', extended sustain'; // Tall upright or cabinet grand
-        } else if (this.dimensions.height > 60) {
-            soundDescription += ', smooth, gradual decay'; // Standard upright
-        } else if (this.dimensions.height < 30) {
-            soundDescription += ', quick decay'; // Low profile piano
-        }
+        note.pressure = Math.max(0, Math.min(1, value));
+        this.applyModulation(note, this.audioContext.currentTime, 0.02);
+    }
+    
+    /**
+     * Get a note's modulated brightness, level and vibrato
+     *
+     * Brightness lifts the treble above 2.5 kHz by up to 12 dB. Opening the lid
+     * lets more of the sound out: up to 6 dB of treble and 3 dB of level.
+     * Aftertouch (the harder of the channel and the note's own pressure) adds
+     * up to 12 dB of treble, 30 cents of vibrato, or a swell of up to 6 dB that
+     * brings the ringing partials back up.
+     *
+     * @param {Object} note - Note record from createNote
+     * @returns {Object} - { brightness (treble boost in dB), level (gain), vibrato (depth in cents) }
+     */
+    getNoteModulation(note) {
+        const pressure = Math.max(this.channelPressure, note.pressure) * this.aftertouchDepth;
+        const aftertouch = (destination) => this.aftertouchDestination === destination ? pressure : 0;
         
-        // Add harmonic enhancement description for large pianos
-        if (volumeFactor > 1.2) {
-            soundDescription += ', with rich harmonic overtones';
-        }
+        const brightness = this.modWheelDestination === 'brightness' ? this.modWheel : 0;
+        const lid = this.modWheelDestination === 'lid' ? this.modWheel : 0;
         
-        console.log(`Piano built with ${soundDescription}`);
+        return {
+            brightness: 12 * brightness + 6 * lid + 12 * aftertouch('brightness'),
+            level: Math.pow(10, (3 * lid + 6 * aftertouch('swell')) / 20),
+            vibrato: 30 * aftertouch('vibrato')
+        };
+    }
+    
+    /**
+     * Apply the modulated brightness, level and vibrato to a note
+     * @param {Object} note - Note record from createNote
+     * @param {number} time - Context time to start at
+     * @param {number} timeConstant - Smoothing between controller steps, in seconds (0 = at once)
+     */
+    applyModulation(note, time, timeConstant) {
+        const { brightness, level, vibrato } = this.getNoteModulation(note);
         
-        // Display a message to the user (if a showMessage function is available)
-        if (typeof window.showMessage === 'function') {
-            window.showMessage(`Piano built with ${soundDescription}. Try playing it!`);
+        if (timeConstant > 0) {
+            note.brightnessFilter.gain.setTargetAtTime(brightness, time, timeConstant);
+            note.modGain.gain.setTargetAtTime(level, time, timeConstant);
+            note.vibratoDepth.gain.setTargetAtTime(vibrato, time, timeConstant);
+        } else {
+            note.brightnessFilter.gain.setValueAtTime(brightness, time);
+            note.modGain.gain.setValueAtTime(level, time);
+            note.vibratoDepth.gain.setValueAtTime(vibrato, time);
         }
     }
     
     /**
-     * Play a note with the given MIDI note number
+     * Press or release the sostenuto pedal
+     *
+     * Pressing it catches the dampers of the notes whose keys are down at that
+     * moment; notes played afterwards are unaffected. Releasing it lets the caught
+     * notes go unless their key is still down or the sustain pedal holds them.
+     *
+     * @param {boolean} isDown - Whether the pedal is pressed
      */
-    playNote(midiNote, velocity = 0.7) {
-        // First, ensure any existing note with this MIDI number is stopped
-        if (this.activeNotes[midiNote]) {
-            // Force immediate stop of the existing note
-            this.forceStopNote(midiNote);
-        }
+    setSostenutoPedal(isDown) {
+        if (isDown === this.sostenutoPedal) return;
+        this.sostenutoPedal = isDown;
         
-        if (!this.isBuilt) {
-            console.warn('Piano not built yet. Build the piano first.');
+        if (isDown) {
+            Object.keys(this.activeNotes).forEach(key => {
+                const note = this.activeNotes[key];
+                if (note.keyDown && !note.damped) {
+                    this.sostenutoNotes.add(parseInt(key));
+                }
+            });
             return;
         }
         
-        // If note is already playing, stop it first
-        if (this.activeNotes[midiNote]) {
-            this.stopNote(midiNote);
-        }
-        
-        // Create oscillator and gain nodes for this note
-        const oscillator = this.audioContext.createOscillator();
-        const noteGain = this.audioContext.createGain();
-        const filter = this.audioContext.createBiquadFilter();
-        
-        // Calculate frequency from MIDI note number
-        const frequency = 440 * Math.pow(2, (midiNote - 69) / 12);
-        
-        // Set up oscillator
-        oscillator.type = 'triangle';
-        oscillator.frequency.value = frequency;
-        
-        // Set up filter based on material
-        filter.type = 'lowpass';
-        
-        // Create a second oscillator for harmonics
-        const oscillator2 = this.audioContext.createOscillator();
-        const harmonicGain = this.audioContext.createGain();
-        
-        // Set up second oscillator
-        oscillator2.frequency.value = frequency * 2; // One octave higher
-        
-        // Create a third oscillator for extreme effects
-        const oscillator3 = this.audioContext.createOscillator();
-        const effectGain = this.audioContext.createGain();
-        
-        // Set up third oscillator
-        oscillator3.frequency.value = frequency * 3; // Higher harmonic
-        
-        // Create a fourth oscillator for the experimental material
-        const oscillator4 = this.audioContext.createOscillator();
-        const experimentalGain = this.audioContext.createGain();
-        oscillator4.frequency.value = frequency * 0.5; // Sub-oscillator (one octave lower)
-        
-        // Material-specific sound characteristics - realistic version
-        switch (this.material) {
-            case 'wood':
-                // Warm, resonant sound with rich overtones (like a traditional piano)
-                oscillator.type = 'triangle';
-                oscillator2.type = 'sine';
-                oscillator3.type = 'sine';
-                harmonicGain.gain.value = 0.25;
-                effectGain.gain.value = 0.08;
-                filter.type = 'lowpass';
-                filter.frequency.value = 3500 + (this.dimensions.length * 20);
-                filter.Q.value = 0.7;
-                break;
-            case 'metal':
-                // Bright, clear sound with extended harmonics (like a metal-framed piano)
-                oscillator.type = 'triangle';
-                oscillator2.type = 'sawtooth';
-                oscillator3.type = 'triangle';
-                harmonicGain.gain.value = 0.3;
-                effectGain.gain.value = 0.15;
-                filter.type = 'highshelf';
-                filter.frequency.value = 2000 + (this.dimensions.length * 30);
-                filter.gain.value = 3.0;
-                filter.Q.value = 1.0;
-                break;
-            case 'glass':
-                // Crystalline, pure tone with transparent sound
-                oscillator.type = 'sine';
-                oscillator2.type = 'sine';
-                oscillator3.type = 'triangle';
-                harmonicGain.gain.value = 0.15;
-                effectGain.gain.value = 0.1;
-                filter.type = 'peaking';
-                filter.frequency.value = 4000 + (this.dimensions.length * 40);
-                filter.gain.value = 6.0;
-                filter.Q.value = 4.0;
-                break;
-            case 'plastic':
-                // Balanced, modern tone with consistent response
-                
-                // Create a more controlled waveform for main oscillator
-                oscillator.type = 'triangle';
-                
-                // Use consistent oscillator types for harmonics
-                oscillator2.type = 'sine';
-                oscillator3.type = 'triangle';
-                oscillator4.type = 'sine';
-                
-                // Set up consistent frequency for oscillator2
-                oscillator2.frequency.value = frequency * 2;
-                
-                // Set up moderate gains for a balanced sound
-                harmonicGain.gain.value = 0.2;
-                effectGain.gain.value = 0.1;
-                experimentalGain.gain.value = 0.05;
-                
-                // Use a moderate filter for a balanced tone
-                filter.type = 'lowshelf';
-                filter.frequency.value = 1000 + (this.dimensions.length * 20);
-                filter.gain.value = -2.0;
-                filter.Q.value = 0.8;
-                
-                // Connect oscillator4 for subtle sub-harmonics
-                oscillator4.connect(experimentalGain);
-                experimentalGain.connect(filter);
-                break;
-        }
-        
-        // Connect third oscillator
-        oscillator3.connect(effectGain);
-        effectGain.connect(filter);
-        
-        // Connect second oscillator
-        oscillator2.connect(harmonicGain);
-        harmonicGain.connect(filter);
-        
-        // Set up gain node for this note
-        noteGain.gain.value = 0;
-        
-        // Connect nodes: oscillator -> filter -> noteGain -> masterGain -> destination
-        oscillator.connect(filter);
-        filter.connect(noteGain);
-        noteGain.connect(this.masterGain);
-        
-        // Apply EXTREME envelope based on piano dimensions
-        const now = this.audioContext.currentTime;
-        
-        // Attack time: smaller height = faster attack (0.001 to 0.1 seconds)
-        const attackTime = Math.max(0.001, 0.1 - (this.dimensions.height / 100) * 0.099);
-        
-        // Decay time: taller piano = longer decay (0.05 to 1.0 seconds)
-        const decayTime = 0.05 + (this.dimensions.height / 100) * 0.95;
-        
-        // Sustain level: wider piano = higher sustain (0.1 to 0.9)
-        const sustainLevel = 0.1 + (this.dimensions.width / 200) * 0.8;
-        
-        // Calculate release time based on piano length (longer piano = longer sustain, but not too long)
-        // Range from 0.1 seconds (tiny piano) to 0.8 seconds (huge piano)
-        // Shortened from previous maximum of 5.0 seconds to prevent lingering sounds
-        const releaseTime = 0.1 + (this.dimensions.length / 200) * 0.7;
-        
-        // Attack
-        noteGain.gain.setValueAtTime(0, now);
-        noteGain.gain.linearRampToValueAtTime(velocity, now + attackTime);
-        
-        // Decay to sustain level
-        noteGain.gain.linearRampToValueAtTime(sustainLevel * velocity, now + attackTime + decayTime);
-        
-        // Start oscillators
-        oscillator.start(now);
-        oscillator2.start(now);
-        oscillator3.start(now);
-        
-        // Start oscillator4 if it's the experimental material
-        if (this.material === 'experimental') {
-            oscillator4.start(now);
-        }
-        
-        // Store active note data
-        this.activeNotes[midiNote] = {
-            oscillator,
-            oscillator2,
-            oscillator3,
-            oscillator4: this.material === 'experimental' ? oscillator4 : null,
-            noteGain,
-            filter,
-            harmonicGain,
-            effectGain,
-            experimentalGain: this.material === 'experimental' ? experimentalGain : null,
-            releaseTime
-        };
+        const caughtNotes = Array.from(this.sostenutoNotes);
+        this.sostenutoNotes.clear();
+        caughtNotes.forEach(midiNote => this.updateReleasedNote(midiNote));
     }
     
     /**
-     * Stop a currently playing note
+     * Apply the current half-pedal damping to a note held by the sustain pedal
      */
-    stopNote(midiNote) {
-        const note = this.activeNotes[midiNote];
-        if (!note) return;
-        
-        const now = this.audioContext.currentTime;
-        
-        // Apply release envelope
-        note.noteGain.gain.cancelScheduledValues(now);
-        note.noteGain.gain.setValueAtTime(note.noteGain.gain.value, now);
-        note.noteGain.gain.linearRampToValueAtTime(0, now + note.releaseTime);
+    applyHalfPedal(note) {
+        // Energy already lost to the dampers stays lost, so continue from the current level
+        const holdTime = this.holdNoteGain(note, this.audioContext.currentTime);
         
-        // Also fade out the harmonic gain
-        if (note.harmonicGain) {
-            note.harmonicGain.gain.cancelScheduledValues(now);
-            note.harmonicGain.gain.setValueAtTime(note.harmonicGain.gain.value, now);
-            note.harmonicGain.gain.linearRampToValueAtTime(0, now + note.releaseTime);
+        const timeConstant = this.getHalfPedalTimeConstant(note, this.sustainPedal);
+        if (timeConstant !== null) {
+            note.noteGain.gain.setTargetAtTime(0, holdTime, timeConstant);
         }
-        
-        // Fade out the effect gain
-        if (note.effectGain) {
-            note.effectGain.gain.cancelScheduledValues(now);
-            note.effectGain.gain.setValueAtTime(note.effectGain.gain.value, now);
-            note.effectGain.gain.linearRampToValueAtTime(0, now + note.releaseTime);
+    }
+    
+    /**
+     * Get how fast the grazing dampers take a held note away at a sustain pedal position
+     * @param {Object} note - Note record from createNote
+     * @param {number} sustainPedal - Pedal position, at least the damper threshold
+     * @returns {number|null} - Time constant of the decay in seconds, null at full pedal
+     */
+    getHalfPedalTimeConstant(note, sustainPedal) {
+        if (sustainPedal >= this.fullPedal) {
+            return null;
         }
         
-        // Fade out the experimental gain
-        if (note.experimentalGain) {
-            note.experimentalGain.gain.cancelScheduledValues(now);
-            note.experimentalGain.gain.setValueAtTime(note.experimentalGain.gain.value, now);
-            note.experimentalGain.gain.linearRampToValueAtTime(0, now + note.releaseTime);
-        }
+        // From a light release (dampers almost down) to 3 s (barely touching)
+        const lift = (sustainPedal - this.damperThreshold) / (this.fullPedal - this.damperThreshold);
+        return note.releaseTime / 3 + lift * 3;
+    }
+    
+    /**
+     * Drop a note's scheduled envelope changes and hold its level, letting any attack finish first
+     * @param {Object} note - Note record from createNote
+     * @param {number} now - Current context time
+     * @returns {number} - Context time from which the level is held
+     */
+    holdNoteGain(note, now) {
+        const gain = note.noteGain.gain;
+        gain.cancelScheduledValues(now);
+        gain.setValueAtTime(gain.value, now);
         
-        // Stop oscillators after release with a small additional buffer to prevent pops
-        const stopTime = now + note.releaseTime + 0.15; // Add a bit more time after the release
-        try {
-            note.oscillator.stop(stopTime);
-            if (note.oscillator2) {
-                note.oscillator2.stop(stopTime);
-            }
-            if (note.oscillator3) {
-                note.oscillator3.stop(stopTime);
-            }
-            if (note.oscillator4) {
-                note.oscillator4.stop(stopTime);
-            }
-        } catch (e) {
-            console.warn('Error stopping oscillators in stopNote:', e);
+        if (now < note.attackEnd) {
+            // Cancelling removed the end of the attack ramp: put it back
+            gain.linearRampToValueAtTime(note.level, note.attackEnd);
+            return note.attackEnd;
         }
         
-        // Remove note from active notes after release
-        // Use a shorter timeout to ensure cleanup happens promptly
-        const cleanupTime = Math.min(note.releaseTime + 0.1, 0.5) * 1000;
-        setTimeout(() => {
-            // Double-check the note is still in activeNotes (might have been cleared by stopAllNotes)
-            if (this.activeNotes[midiNote]) {
-                delete this.activeNotes[midiNote];
-                console.log(`Note ${midiNote} cleanup complete`);
-            }
-        }, cleanupTime);
-        
-        // Add a backup cleanup in case the first one fails
-        setTimeout(() => {
-            if (this.activeNotes[midiNote] === note) {
-                console.warn(`Backup cleanup for note: ${midiNote}`);
-                delete this.activeNotes[midiNote];
-            }
-        }, cleanupTime + 1000);
-        
-        // Final safety net - force cleanup after 5 seconds no matter what
-        setTimeout(() => {
-            if (this.activeNotes[midiNote] === note) {
-                console.error(`Emergency cleanup for stuck note: ${midiNote}`);
-                delete this.activeNotes[midiNote];
-            }
-        }, 5000);
+        return now;
     }
     
     /**
      * Force stop a note immediately without release phase
      * @param {number} midiNote - MIDI note number to stop
+     * @param {number} fadeTime - Fade-out in seconds (5 ms by default, longer when stealing)
      */
-    forceStopNote(midiNote) {
+    forceStopNote(midiNote, fadeTime = 0.005) {
         const note = this.activeNotes[midiNote];
         if (!note) return;
         
         const now = this.audioContext.currentTime;
         
         try {
-            // Add a very short fade-out to prevent popping sounds (5ms)
+            // Add a short fade-out to prevent popping sounds
             note.noteGain.gain.cancelScheduledValues(now);
             note.noteGain.gain.setValueAtTime(note.noteGain.gain.value, now);
-            note.noteGain.gain.linearRampToValueAtTime(0, now + 0.005);
-            
-            if (note.harmonicGain) {
-                note.harmonicGain.gain.cancelScheduledValues(now);
-                note.harmonicGain.gain.setValueAtTime(note.harmonicGain.gain.value, now);
-                note.harmonicGain.gain.linearRampToValueAtTime(0, now + 0.005);
-            }
-            
-            if (note.effectGain) {
-                note.effectGain.gain.cancelScheduledValues(now);
-                note.effectGain.gain.setValueAtTime(note.effectGain.gain.value, now);
-                note.effectGain.gain.linearRampToValueAtTime(0, now + 0.005);
-            }
-            
-            if (note.experimentalGain) {
-                note.experimentalGain.gain.cancelScheduledValues(now);
-                note.experimentalGain.gain.setValueAtTime(note.experimentalGain.gain.value, now);
-                note.experimentalGain.gain.linearRampToValueAtTime(0, now + 0.005);
-            }
+            note.noteGain.gain.linearRampToValueAtTime(0, now + fadeTime);
             
-            // Stop oscillators after the short fade-out to prevent popping
-            const stopTime = now + 0.01; // 10ms after fade-out completes
+            // Stop the strings after the fade-out to prevent popping
+            const stopTime = now + fadeTime + 0.005;
             try {
-                note.oscillator.stop(stopTime);
-                if (note.oscillator2) note.oscillator2.stop(stopTime);
-                if (note.oscillator3) note.oscillator3.stop(stopTime);
-                if (note.oscillator4) note.oscillator4.stop(stopTime);
+                note.voices.forEach(voice => voice.source.stop(stopTime));
             } catch (e) {
-                // Ignore errors if oscillator is already stopped
-                console.warn('Error stopping oscillators:', e);
+                // Ignore errors if a string is already stopped
+                console.warn('Error stopping strings:', e);
             }
         } catch (e) {
             console.error('Error in forceStopNote:', e);
@@ -510,6 +2041,319 @@ class PianoModel {
         }
     }
     
+    /**
+     * Render notes offline with the current build
+     *
+     * The build's voice graph (strings, filters, body resonance, master gain,
+     * any harmonic enhancement and the master bus effects) is recreated in an OfflineAudioContext, so the
+     * result matches what the keyboard plays and is the same on every run.
+     * The whole graph is set up from the build as it is when the render starts.
+     * The pedals start up and move only as the event list says, whatever the
+     * live pedals are doing.
+     *
+     * @param {Object[]} events - Notes to play: { note, velocity = 0.7, time = 0, duration = 1, releaseVelocity = 0.5 },
+     *                            and pedal changes: { controller: 64 (sustain), 66 (sostenuto) or 67 (soft),
+     *                            value (0 = up to 1 = down), time = 0 }; times in seconds
+     * @param {Object} options
+     * @param {number} options.tail - Seconds to keep rendering after the last release (default 2)
+     * @param {number} options.sampleRate - Output sample rate (default: the live context's)
+     * @returns {Promise<AudioBuffer>} - Stereo rendering
+     */
+    async renderOffline(events, options = {}) {
+        if (!this.isBuilt) {
+            throw new Error('Piano not built yet. Build the piano first.');
+        }
+        
+        const notes = (events || []).filter(event => event.controller === undefined).map(event => ({
+            note: event.note,
+            velocity: event.velocity !== undefined ? event.velocity : 0.7,
+            time: Math.max(0, event.time || 0),
+            duration: event.duration !== undefined ? event.duration : 1,
+            releaseVelocity: event.releaseVelocity !== undefined ? event.releaseVelocity : 0.5
+        }));
+        const pedalChanges = (events || []).filter(event => event.controller !== undefined).map(event => ({
+            controller: event.controller,
+            value: Math.max(0, Math.min(1, event.value)),
+            time: Math.max(0, event.time || 0)
+        }));
+        if (notes.length === 0) {
+            throw new Error('Nothing to render: the note list is empty.');
+        }
+        
+        const OfflineContext = this.OfflineAudioContext;
+        if (!OfflineContext) {
+            throw new Error('Offline rendering is not supported in this browser.');
+        }
+        
+        const sampleRate = options.sampleRate || this.audioContext.sampleRate;
+        const tail = options.tail !== undefined ? options.tail : 2;
+        
+        // Last key release or pedal change plus the longest possible release envelope and the tail
+        const lastEvent = Math.max(
+            ...notes.map(event => event.time + event.duration),
+            ...pedalChanges.map(change => change.time)
+        );
+        const end = lastEvent + this.getReleaseTime() + tail;
+        const context = new OfflineContext(2, Math.ceil(end * sampleRate), sampleRate);
+        
+        const voiceBus = this.createOfflineGraph(context);
+        this.schedulePerformance(context, voiceBus, notes, pedalChanges);
+        
+        return context.startRendering();
+    }
+    
+    /**
+     * Render a single note offline
+     * @param {number} midiNote - MIDI note number
+     * @param {number} velocity - Note velocity, 0 to 1
+     * @param {number} duration - Seconds the key is held
+     * @returns {Promise<AudioBuffer>}
+     */
+    renderNote(midiNote, velocity = 0.7, duration = 2) {
+        return this.renderOffline([{ note: midiNote, velocity, duration }]);
+    }
+    
+    /**
+     * Render a chord (all notes struck together) offline
+     * @param {number[]} midiNotes - MIDI note numbers
+     * @param {number} velocity - Note velocity, 0 to 1
+     * @param {number} duration - Seconds the keys are held
+     * @returns {Promise<AudioBuffer>}
+     */
+    renderChord(midiNotes, velocity = 0.7, duration = 2) {
+        return this.renderOffline(midiNotes.map(note => ({ note, velocity, duration })));
+    }
+    
+    /**
+     * Render notes offline and encode the result as a WAV file
+     * @param {Object[]} events - See renderOffline
+     * @param {number} bitDepth - 16 or 24
+     * @returns {Promise<Blob>} - audio/wav blob ready for download
+     */
+    async renderToWav(events, bitDepth = 16) {
+        const audioBuffer = await this.renderOffline(events);
+        return new WavEncoder(bitDepth).createBlob(audioBuffer);
+    }
+    
+    /**
+     * Recreate the output side of the build in another context
+     * @param {BaseAudioContext} context - Usually an OfflineAudioContext
+     * @returns {AudioNode} - The voice bus notes should connect to
+     */
+    createOfflineGraph(context) {
+        // Same effect settings as the live output
+        const masterBus = new MasterBus(context, this.masterBus.getSettings());
+        
+        const perspective = this.perspectives[this.perspective];
+        const perspectiveTone = context.createBiquadFilter();
+        perspectiveTone.type = 'highshelf';
+        perspectiveTone.frequency.value = this.perspectiveTone.frequency.value;
+        perspectiveTone.gain.value = perspective.brilliance;
+        const perspectiveGain = context.createGain();
+        perspectiveGain.gain.value = perspective.level;
+        perspectiveTone.connect(perspectiveGain);
+        perspectiveGain.connect(masterBus.input);
+        
+        const level = context.createGain();
+        level.gain.value = this.masterLevel;
+        
+        if (this.body && this.body.distortion.curve) {
+            const distortion = context.createWaveShaper();
+            distortion.curve = this.body.distortion.curve;
+            distortion.oversample = this.body.distortion.oversample;
+            level.connect(distortion);
+            distortion.connect(perspectiveTone);
+        } else {
+            level.connect(perspectiveTone);
+        }
+        
+        const voiceBus = context.createGain();
+        voiceBus.connect(level);
+        
+        if (this.body) {
+            const bodyConvolver = context.createConvolver();
+            bodyConvolver.normalize = false;
+            bodyConvolver.buffer = this.body.convolver.buffer;
+            
+            const bodyGain = context.createGain();
+            bodyGain.gain.value = this.getBodyLevel();
+            
+            voiceBus.connect(bodyConvolver);
+            bodyConvolver.connect(bodyGain);
+            bodyGain.connect(level);
+        }
+        
+        return voiceBus;
+    }
+    
+    /**
+     * Schedule the strikes, key releases and pedal changes of a performance in another context
+     *
+     * Follows the live pedal handling (see updateReleasedNote, setSustainPedal and
+     * setSostenutoPedal), but with pedals of its own that start up. Nothing has
+     * played yet, so a note's level at a given time is worked out from what has
+     * been scheduled on it (see getScheduledGain) rather than read from its gain.
+     *
+     * @param {BaseAudioContext} context - Usually an OfflineAudioContext
+     * @param {AudioNode} voiceBus - Node the notes connect to (see createOfflineGraph)
+     * @param {Object[]} notes - { note, velocity, time, duration, releaseVelocity }
+     * @param {Object[]} pedalChanges - { controller, value, time } (see renderOffline)
+     */
+    schedulePerformance(context, voiceBus, notes, pedalChanges) {
+        let sustainPedal = 0;
+        let softPedal = 0;
+        let sostenutoPedal = false;
+        const sostenutoNotes = new Set();
+        
+        // Most recent note on each key, and the note each event struck
+        const keyNotes = {};
+        const struckNotes = new Map();
+        
+        // A released key whose damper may fall, depending on the pedals (see updateReleasedNote)
+        const updateReleasedNote = (note, time) => {
+            if (note.keyDown || note.damped) return;
+            
+            if (sostenutoNotes.has(note)) {
+                note.sustained = true;
+                this.holdScheduledGain(note, time, null);
+            } else if (sustainPedal >= this.damperThreshold) {
+                note.sustained = true;
+                this.holdScheduledGain(note, time, this.getHalfPedalTimeConstant(note, sustainPedal));
+            } else {
+                note.damped = true;
+                note.sustained = false;
+                this.playDamperNoise(note, time);
+                this.fadeScheduledGain(note, time, note.releaseTime);
+                note.stopTime = time + note.releaseTime + 0.15;
+                note.voices.forEach(voice => voice.source.stop(note.stopTime));
+            }
+        };
+        
+        // At equal times pedals move first, then keys come up, then keys go down
+        // (a note without duration is let go right after its strike)
+        const steps = [
+            ...pedalChanges.map(change => ({ time: change.time, order: 0, change })),
+            ...notes.map(event => ({ time: event.time + event.duration, order: event.duration > 0 ? 1 : 3, release: event })),
+            ...notes.map(event => ({ time: event.time, order: 2, strike: event }))
+        ].sort((a, b) => a.time - b.time || a.order - b.order);
+        
+        steps.forEach(({ time, change, release, strike }) => {
+            if (change) {
+                switch (change.controller) {
+                    case 64: // Sustain: a lifted pedal damps the notes whose keys are up
+                        sustainPedal = change.value;
+                        Object.values(keyNotes).filter(note => note.sustained).forEach(note => updateReleasedNote(note, time));
+                        break;
+                        
+                    case 66: { // Sostenuto: catches the notes whose keys are down as it goes down
+                        const isDown = change.value >= 0.5;
+                        if (isDown === sostenutoPedal) break;
+                        sostenutoPedal = isDown;
+                        
+                        if (isDown) {
+                            Object.values(keyNotes).filter(note => note.keyDown && !note.damped).forEach(note => sostenutoNotes.add(note));
+                        } else {
+                            const caughtNotes = Array.from(sostenutoNotes);
+                            sostenutoNotes.clear();
+                            caughtNotes.forEach(note => updateReleasedNote(note, time));
+                        }
+                        break;
+                    }
+                    
+                    case 67: // Soft: applies to the notes struck while it is down
+                        softPedal = change.value;
+                        break;
+                }
+            } else if (strike) {
+                if (!this.isNoteMapped(strike.note)) return;
+                
+                // Striking a key that is still sounding cuts the previous note short (see forceStopNote)
+                const previous = keyNotes[strike.note];
+                if (previous && time < previous.stopTime) {
+                    previous.damped = true;
+                    this.fadeScheduledGain(previous, time, 0.005);
+                    previous.voices.forEach(voice => voice.source.stop(time + 0.01));
+                    previous.stopTime = time + 0.01;
+                }
+                
+                const note = this.createNote(context, voiceBus, strike.note, strike.velocity, time, softPedal);
+                note.envelope = { fromTime: time, fromValue: 0, time: note.attackEnd, value: note.level, timeConstant: null };
+                note.stopTime = Infinity;
+                keyNotes[strike.note] = note;
+                struckNotes.set(strike, note);
+            } else {
+                const note = struckNotes.get(release);
+                if (!note || note.damped) return;
+                
+                note.keyDown = false;
+                note.releaseVelocity = Math.max(0, Math.min(1, release.releaseVelocity));
+                this.playKeyReturnNoise(note, time);
+                updateReleasedNote(note, time);
+            }
+        });
+    }
+    
+    /**
+     * Get the level scheduled on a note's gain at a given time
+     *
+     * Follows the note's last scheduled segment: a ramp (the attack or a fade)
+     * up to segment time, then the level, decaying if it has a time constant.
+     *
+     * @param {Object} note - Note record with its scheduled envelope (see schedulePerformance)
+     * @param {number} time - Context time
+     * @returns {number}
+     */
+    getScheduledGain(note, time) {
+        const { fromTime, fromValue, time: segmentTime, value, timeConstant } = note.envelope;
+        
+        if (time < segmentTime) {
+            const progress = Math.max(0, time - fromTime) / (segmentTime - fromTime);
+            return fromValue + (value - fromValue) * progress;
+        }
+        
+        return timeConstant ? value * Math.exp(-(time - segmentTime) / timeConstant) : value;
+    }
+    
+    /**
+     * Hold a scheduled note at its level from a given time, letting any attack
+     * finish first, and optionally let it decay from there (see holdNoteGain)
+     * @param {Object} note - Note record with its scheduled envelope
+     * @param {number} time - Context time
+     * @param {number|null} timeConstant - Decay time constant in seconds, null to hold
+     */
+    holdScheduledGain(note, time, timeConstant) {
+        const gain = note.noteGain.gain;
+        const value = this.getScheduledGain(note, time);
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(value, time);
+        
+        if (time < note.attackEnd) {
+            gain.linearRampToValueAtTime(note.level, note.attackEnd);
+            note.envelope = { fromTime: time, fromValue: value, time: note.attackEnd, value: note.level, timeConstant };
+        } else {
+            note.envelope = { fromTime: time, fromValue: value, time, value, timeConstant };
+        }
+        
+        if (timeConstant !== null) {
+            gain.setTargetAtTime(0, note.envelope.time, timeConstant);
+        }
+    }
+    
+    /**
+     * Fade a scheduled note out from its level at a given time
+     * @param {Object} note - Note record with its scheduled envelope
+     * @param {number} time - Context time the fade starts
+     * @param {number} fadeTime - Seconds to silence
+     */
+    fadeScheduledGain(note, time, fadeTime) {
+        const gain = note.noteGain.gain;
+        const value = this.getScheduledGain(note, time);
+        gain.cancelScheduledValues(time);
+        gain.setValueAtTime(value, time);
+        gain.linearRampToValueAtTime(0, time + fadeTime);
+        note.envelope = { fromTime: time, fromValue: value, time: time + fadeTime, value: 0, timeConstant: null };
+    }
+    
     /**
      * Get normalized parameters for the current piano configuration
      * These can be used for visualization or other purposes
@@ -532,21 +2376,22 @@ class PianoModel {
         const samples = 44100;
         const curve = new Float32Array(samples);
         const deg = Math.PI / 180;
+        const distortion = this.getMaterial().distortion;
         
         for (let i = 0; i < samples; ++i) {
             const x = i * 2 / samples - 1;
             // Different distortion algorithms for different effects
             
-            // For metal material - hard clipping
-            if (this.material === 'metal') {
+            // Hard clipping (metal)
+            if (distortion === 'hard') {
                 curve[i] = Math.tanh(x * amount / 100);
             } 
-            // For wood material - soft clipping
-            else if (this.material === 'wood') {
+            // Soft clipping (wood)
+            else if (distortion === 'soft') {
                 curve[i] = Math.sin(x * amount / 100) / Math.cos(x * deg);
             } 
-            // For experimental material - extreme chaotic distortion
-            else if (this.material === 'experimental') {
+            // Extreme chaotic distortion (experimental)
+            else if (distortion === 'chaotic') {
                 // Create chaotic, unpredictable distortion
                 if (x === 0) {
                     curve[i] = 0; // Avoid division by zero
@@ -556,7 +2401,7 @@ class PianoModel {
                     curve[i] = chaos * Math.tanh(x * amount / 20);
                 }
             }
-            // For composite material - asymmetric distortion
+            // Asymmetric distortion (glass, plastic and composites)
             else {
                 curve[i] = (3 + amount/200) * x * 20 * deg / (Math.PI + amount/10 * Math.abs(x));
             }
@@ -564,3 +2409,7 @@ class PianoModel {
         return curve;
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PianoModel;
+}
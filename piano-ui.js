@@ -2,9 +2,18 @@
  * Piano UI - Handles the canvas drawing and interaction
  */
 class PianoUI {
-    constructor(canvasId) {
-        this.canvas = document.getElementById(canvasId);
+    /**
+     * @param {string|HTMLCanvasElement} canvas - The canvas to draw on, or its id
+     * @param {MaterialRegistry} materialRegistry - Materials providing the finish (a new registry if omitted)
+     * @param {Object} options
+     * @param {Object} options.displays - { length, width, height } elements showing the dimensions
+     *                                    (default: the spans in #lengthDisplay, #widthDisplay, #heightDisplay)
+     * @param {EventTarget} options.window - Receives resize events (default: the window)
+     */
+    constructor(canvas, materialRegistry = new MaterialRegistry(), options = {}) {
+        this.canvas = typeof canvas === 'string' ? document.getElementById(canvas) : canvas;
         this.ctx = this.canvas.getContext('2d');
+        this.window = options.window || (typeof window !== 'undefined' ? window : null);
         
         // Set canvas dimensions to match display size
         this.resizeCanvas();
@@ -22,8 +31,9 @@ class PianoUI {
             length: 300  // Will be updated in resizeCanvas
         };
         
-        // Piano material (default: wood)
+        // Piano material (default: wood) and the registry its finish comes from
         this.material = 'wood';
+        this.materialRegistry = materialRegistry;
         
         // Control points for resizing
         this.controlPoints = [];
@@ -45,9 +55,15 @@ class PianoUI {
         };
         
         // Display elements for dimensions
-        this.lengthDisplay = document.querySelector('#lengthDisplay span');
-        this.widthDisplay = document.querySelector('#widthDisplay span');
-        this.heightDisplay = document.querySelector('#heightDisplay span');
+        const displays = options.displays ||
+            (typeof document !== 'undefined' ? {
+                length: document.querySelector('#lengthDisplay span'),
+                width: document.querySelector('#widthDisplay span'),
+                height: document.querySelector('#heightDisplay span')
+            } : {});
+        this.lengthDisplay = displays.length || null;
+        this.widthDisplay = displays.width || null;
+        this.heightDisplay = displays.height || null;
         
         // Initialize event listeners
         this.initEventListeners();
@@ -95,11 +111,13 @@ class PianoUI {
         });
         
         // Resize canvas when window resizes
-        window.addEventListener('resize', () => {
-            this.resizeCanvas();
-            this.updateControlPoints();
-            this.draw();
-        });
+        if (this.window) {
+            this.window.addEventListener('resize', () => {
+                this.resizeCanvas();
+                this.updateControlPoints();
+                this.draw();
+            });
+        }
     }
     
     /**
@@ -330,6 +348,8 @@ class PianoUI {
      * Update dimension display elements
      */
     updateDimensionDisplay() {
+        if (!this.lengthDisplay || !this.widthDisplay || !this.heightDisplay) return;
+        
         this.lengthDisplay.textContent = Math.round(this.pianoParams.length);
         this.widthDisplay.textContent = Math.round(this.pianoParams.width);
         this.heightDisplay.textContent = Math.round(this.pianoParams.height);
@@ -362,44 +382,13 @@ class PianoUI {
         // Draw piano body
         const bodyGradient = ctx.createLinearGradient(left, top, right, bottom);
         
-        // Set gradient based on material
-        
-        switch(this.material) {
-            case 'wood':
-                bodyGradient.addColorStop(0, '#5d4037');
-                bodyGradient.addColorStop(0.7, '#8d6e63');
-                bodyGradient.addColorStop(1, '#a1887f');
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-                ctx.shadowBlur = 15;
-                break;
-            case 'metal':
-                bodyGradient.addColorStop(0, '#455a64');
-                bodyGradient.addColorStop(0.7, '#78909c');
-                bodyGradient.addColorStop(1, '#90a4ae');
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
-                ctx.shadowBlur = 10;
-                break;
-            case 'glass':
-                bodyGradient.addColorStop(0, 'rgba(200, 230, 255, 0.7)');
-                bodyGradient.addColorStop(0.5, 'rgba(220, 240, 255, 0.5)');
-                bodyGradient.addColorStop(1, 'rgba(240, 250, 255, 0.8)');
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.3)';
-                ctx.shadowBlur = 20;
-                break;
-            case 'plastic':
-                bodyGradient.addColorStop(0, '#1a237e');
-                bodyGradient.addColorStop(0.7, '#303f9f');
-                bodyGradient.addColorStop(1, '#3949ab');
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.4)';
-                ctx.shadowBlur = 12;
-                break;
-            default:
-                bodyGradient.addColorStop(0, '#5d4037');
-                bodyGradient.addColorStop(0.7, '#8d6e63');
-                bodyGradient.addColorStop(1, '#a1887f');
-                ctx.shadowColor = 'rgba(0, 0, 0, 0.5)';
-                ctx.shadowBlur = 15;
-        }
+        // Set gradient and shadow from the material's finish
+        const finish = this.materialRegistry.resolve(this.material).finish;
+        finish.stops.forEach(stop => {
+            bodyGradient.addColorStop(stop.offset, this.hexToRgba(stop.color, stop.alpha));
+        });
+        ctx.shadowColor = `rgba(0, 0, 0, ${finish.shadowOpacity})`;
+        ctx.shadowBlur = finish.shadowBlur;
         
         ctx.fillStyle = bodyGradient;
         ctx.strokeStyle = '#333';
@@ -1203,14 +1192,37 @@ class PianoUI {
         return { ...this.pianoParams };
     }
     
+    /**
+     * Set the piano parameters (e.g. from a stored build) and redraw
+     * @param {Object} params - { length, width, height } in cm
+     */
+    setPianoParams(params) {
+        this.pianoParams = { length: params.length, width: params.width, height: params.height };
+        this.updateControlPoints();
+        this.draw();
+        this.updateDimensionDisplay();
+    }
+    
     /**
      * Set piano material and redraw
+     * @param {string|Object} material - Material id, or a weighted mix (drawn with a blended finish)
      */
     setMaterial(material) {
         this.material = material;
         this.draw();
     }
     
+    /**
+     * Convert a hex colour and alpha to a canvas rgba() string
+     * @param {string} hex - Colour like '#5d4037'
+     * @param {number} alpha - Opacity, 0 to 1
+     * @returns {string}
+     */
+    hexToRgba(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${(value >> 16) & 0xFF}, ${(value >> 8) & 0xFF}, ${value & 0xFF}, ${alpha})`;
+    }
+    
     /**
      * Draw a subtle grid background to help with spatial awareness
      */
@@ -1315,3 +1327,7 @@ class PianoUI {
         ctx.fill();
     }
 }
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PianoUI;
+}
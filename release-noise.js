@@ -0,0 +1,165 @@
+/**
+ * Release Noise - Synthesizes the mechanical noises of letting a key go
+ *
+ * Two short transients are rendered into cached buffers: the damper "thunk"
+ * (felt landing on vibrating strings, with a low thump from the case) and the
+ * key-return knock (the key meeting its rail, then the hammer settling back on
+ * its rest). Their colour follows the material and the size of the body.
+ */
+class ReleaseNoise {
+    constructor(audioContext) {
+        this.audioContext = audioContext;
+        this.sampleRate = audioContext.sampleRate;
+        
+        // Rendered noises keyed by their parameters
+        this.cache = new Map();
+        
+        // Noises are tiny, but one per register and build adds up
+        this.maxCacheSize = 64;
+    }
+    
+    /**
+     * Get the damper noise for a register, synthesizing it if it is not cached
+     * @param {Object} params - See createDamperNoise
+     * @returns {AudioBuffer} - Mono buffer, peak normalized to 1
+     */
+    getDamperNoise(params) {
+        return this.getCached('damper', params, () => this.createDamperNoise(params));
+    }
+    
+    /**
+     * Get the key-return noise, synthesizing it if it is not cached
+     * @param {Object} params - See createKeyReturnNoise
+     * @returns {AudioBuffer} - Mono buffer, peak normalized to 1
+     */
+    getKeyReturnNoise(params) {
+        return this.getCached('key', params, () => this.createKeyReturnNoise(params));
+    }
+    
+    /**
+     * Look a buffer up by kind and rounded parameters, creating it if needed
+     */
+    getCached(kind, params, create) {
+        const key = kind + '|' + Object.keys(params).sort().map(name => `${name}=${params[name].toFixed(3)}`).join('|');
+        
+        if (this.cache.has(key)) {
+            return this.cache.get(key);
+        }
+        
+        const buffer = create();
+        this.cache.set(key, buffer);
+        
+        // Drop the oldest noise once the cache is full
+        if (this.cache.size > this.maxCacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Synthesize a damper noise
+     * @param {Object} params
+     * @param {number} params.frequency - Fundamental of the string being damped (sets the felt size and buzz)
+     * @param {number} params.bodySize - 0 (small case) to 1 (concert grand), lowers the thump
+     * @param {number} params.hardness - Material hardness 0 to 1, brightens the contact
+     * @param {number} params.brightness - Body brightness 0 to 1
+     * @returns {AudioBuffer}
+     */
+    createDamperNoise(params) {
+        const { frequency, bodySize, hardness, brightness } = params;
+        const length = Math.ceil(0.12 * this.sampleRate);
+        const buffer = this.audioContext.createBuffer(1, length, this.sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = SeededRandom.create(Math.round(frequency));
+        
+        // The case answers with a low thump, deeper for bigger bodies
+        const thumpFrequency = 140 - 80 * bodySize;
+        
+        // Felt contact noise: softer, darker felt in the bass
+        const register = Math.max(0, Math.min(1, Math.log2(frequency / 27.5) / 7));
+        const smoothing = 0.9 - 0.5 * (0.5 * hardness + 0.3 * brightness + 0.2 * register);
+        
+        let felt = 0;
+        for (let i = 0; i < length; i++) {
+            const t = i / this.sampleRate;
+            
+            const thump = Math.sin(2 * Math.PI * thumpFrequency * t) * Math.exp(-t / 0.025);
+            
+            felt = smoothing * felt + (1 - smoothing) * (random() * 2 - 1);
+            const contact = felt * Math.min(1, t / 0.002) * Math.exp(-t / 0.03);
+            
+            // The string is choked rather than cut: a brief buzz at its own pitch
+            const buzz = Math.sin(2 * Math.PI * frequency * t) * Math.exp(-t / 0.012);
+            
+            data[i] = 0.6 * thump + 1.5 * contact + 0.25 * buzz;
+        }
+        
+        this.normalize(data);
+        return buffer;
+    }
+    
+    /**
+     * Synthesize a key-return noise: a knock as the key meets the front rail,
+     * then a lighter one as the hammer drops onto its rest
+     * @param {Object} params
+     * @param {number} params.bodySize - 0 (small case) to 1 (concert grand), lowers the resonance
+     * @param {number} params.hardness - Material hardness 0 to 1, sharpens the knock
+     * @param {number} params.brightness - Body brightness 0 to 1
+     * @returns {AudioBuffer}
+     */
+    createKeyReturnNoise(params) {
+        const { bodySize, hardness, brightness } = params;
+        const length = Math.ceil(0.08 * this.sampleRate);
+        const buffer = this.audioContext.createBuffer(1, length, this.sampleRate);
+        const data = buffer.getChannelData(0);
+        const random = SeededRandom.create(7);
+        
+        // Resonance of the keyframe and case: harder, brighter and smaller builds knock higher
+        const resonance = (600 + 1400 * (0.6 * hardness + 0.4 * brightness)) * (1.2 - 0.4 * bodySize);
+        const radius = Math.exp(-Math.PI * 150 / this.sampleRate);
+        const omega = 2 * Math.PI * resonance / this.sampleRate;
+        const a1 = 2 * radius * Math.cos(omega);
+        const a2 = -radius * radius;
+        
+        const hammerDelay = 0.018 + 0.01 * bodySize;
+        let y1 = 0;
+        let y2 = 0;
+        
+        for (let i = 0; i < length; i++) {
+            const t = i / this.sampleRate;
+            
+            // Two short noise bursts excite the resonance
+            const keyBurst = t < 0.003 ? 1 : 0;
+            const hammerBurst = t >= hammerDelay && t < hammerDelay + 0.002 ? 0.5 : 0;
+            const excitation = (keyBurst + hammerBurst) * (random() * 2 - 1);
+            
+            const y = excitation + a1 * y1 + a2 * y2;
+            y2 = y1;
+            y1 = y;
+            data[i] = y;
+        }
+        
+        this.normalize(data);
+        return buffer;
+    }
+    
+    /**
+     * Scale samples to a peak of 1
+     */
+    normalize(data) {
+        let peak = 0;
+        for (let i = 0; i < data.length; i++) {
+            peak = Math.max(peak, Math.abs(data[i]));
+        }
+        if (peak === 0) return;
+        
+        for (let i = 0; i < data.length; i++) {
+            data[i] /= peak;
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReleaseNoise;
+}
@@ -0,0 +1,62 @@
+/**
+ * Script Loader - Handles loading the browser scripts under Node
+ *
+ * The classes are script-tag globals that find each other by name. Rather than
+ * put them on Node's global object, the loader runs the scripts index.html lists,
+ * in the same order, inside a sandbox of their own and returns their classes:
+ *
+ *     const { PianoModel, MidiController } = require('./script-loader.js').load();
+ *
+ * Every call gets a fresh set of classes, so nothing is shared between callers.
+ */
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+class ScriptLoader {
+    /**
+     * Run the page's scripts and collect their classes
+     * @param {Object} globals - Extra globals the scripts can see, e.g. { OfflineAudioContext }
+     * @returns {Object} - Classes by name
+     */
+    static load(globals = {}) {
+        const context = vm.createContext({
+            console,
+            setTimeout,
+            clearTimeout,
+            setInterval,
+            clearInterval,
+            performance,
+            Blob,
+            URL,
+            TextEncoder,
+            ...globals
+        });
+        
+        const classNames = [];
+        ScriptLoader.getScriptFiles().forEach(file => {
+            const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+            vm.runInContext(source, context, { filename: file });
+            
+            const match = /^class (\w+)/m.exec(source);
+            if (match) {
+                classNames.push(match[1]);
+            }
+        });
+        
+        // Class declarations are not properties of the global object, so read them by name
+        return vm.runInContext(`({ ${classNames.join(', ')} })`, context);
+    }
+    
+    /**
+     * Get the scripts index.html loads, in order, without main.js (which wires up the page)
+     * @returns {string[]} - File names relative to the project root
+     */
+    static getScriptFiles() {
+        const html = fs.readFileSync(path.join(__dirname, 'index.html'), 'utf8');
+        return Array.from(html.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1])
+            .filter(file => file !== 'main.js');
+    }
+}
+
+module.exports = ScriptLoader;
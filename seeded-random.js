@@ -0,0 +1,27 @@
+/**
+ * Seeded Random - Handles the repeatable noise used by the synthesizers
+ *
+ * Strings, body responses, release noises and the reverb all draw their noise
+ * from here, so a build renders the same way on every run.
+ */
+class SeededRandom {
+    /**
+     * Create a small seeded random number generator (mulberry32)
+     * @param {number} seed
+     * @returns {Function} - Returns numbers in [0, 1)
+     */
+    static create(seed) {
+        let state = (seed * 2654435761) >>> 0;
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+}
@@ -0,0 +1,309 @@
+/**
+ * Spectrum Panel - Handles the oscilloscope, spectrum and spectrogram views
+ *
+ * Reads the piano's analyser tap (after masterGain, before the master effects).
+ * The spectrum has a log frequency axis with a gridline on every C, and the
+ * partials of the most recently struck note are marked so the effect of a
+ * change in length or material can be seen as well as heard.
+ */
+class SpectrumPanel {
+    /**
+     * @param {string|HTMLElement} container - Element the panel is built in, or its id
+     * @param {PianoModel} pianoModel - Piano providing the analyser and the last struck note
+     * @param {Object} options
+     * @param {Document} options.document - Document the canvases are created in (default: the page)
+     */
+    constructor(container, pianoModel, options = {}) {
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.container = typeof container === 'string' ?
+            (this.document ? this.document.getElementById(container) : null) : container;
+        this.pianoModel = pianoModel;
+        this.analyser = pianoModel.analyser;
+        
+        // Displayed frequency range and level range
+        this.minFrequency = 20;
+        this.maxFrequency = Math.min(20000, this.analyser.context.sampleRate / 2);
+        this.minDecibels = -110;
+        this.maxDecibels = -10;
+        
+        // Number of partials marked for the last struck note
+        this.partialCount = 16;
+        
+        this.timeData = new Float32Array(this.analyser.fftSize);
+        this.frequencyData = new Float32Array(this.analyser.frequencyBinCount);
+        
+        // Animation frame while running, null when stopped
+        this.frameRequest = null;
+        
+        if (!this.container) return;
+        
+        this.scope = this.createCanvas('Oscilloscope', 120);
+        this.spectrum = this.createCanvas('Spectrum', 200);
+        this.waterfall = this.createCanvas('Spectrogram', 160);
+    }
+    
+    /**
+     * Add a titled canvas to the panel
+     * @returns {Object} - { canvas, ctx }
+     */
+    createCanvas(title, height) {
+        const heading = this.document.createElement('div');
+        heading.className = 'spectrum-title';
+        heading.textContent = title;
+        this.container.appendChild(heading);
+        
+        const canvas = this.document.createElement('canvas');
+        canvas.className = 'spectrum-canvas';
+        canvas.height = height;
+        this.container.appendChild(canvas);
+        
+        return { canvas, ctx: canvas.getContext('2d') };
+    }
+    
+    /**
+     * Start drawing (only needed while the panel is visible)
+     */
+    start() {
+        if (!this.container || this.frameRequest !== null) return;
+        
+        // Match the canvases to the panel width, which is only known once it is shown
+        const width = Math.max(200, Math.floor(this.container.clientWidth));
+        [this.scope, this.spectrum, this.waterfall].forEach(({ canvas }) => {
+            canvas.width = width;
+        });
+        
+        const frame = () => {
+            this.draw();
+            this.frameRequest = requestAnimationFrame(frame);
+        };
+        this.frameRequest = requestAnimationFrame(frame);
+    }
+    
+    /**
+     * Stop drawing
+     */
+    stop() {
+        if (this.frameRequest === null) return;
+        
+        cancelAnimationFrame(this.frameRequest);
+        this.frameRequest = null;
+    }
+    
+    /**
+     * Read the analyser and redraw every view
+     */
+    draw() {
+        this.analyser.getFloatTimeDomainData(this.timeData);
+        this.analyser.getFloatFrequencyData(this.frequencyData);
+        
+        this.drawScope();
+        this.drawSpectrum();
+        this.drawWaterfall();
+    }
+    
+    /**
+     * Draw the waveform, triggered on a rising zero crossing so it holds still
+     */
+    drawScope() {
+        const { canvas, ctx } = this.scope;
+        const { width, height } = canvas;
+        ctx.fillStyle = '#1a252f';
+        ctx.fillRect(0, 0, width, height);
+        
+        // About 40 ms of signal, starting at the first rising zero crossing
+        const samples = Math.min(this.timeData.length / 2, Math.round(0.04 * this.analyser.context.sampleRate));
+        let start = 0;
+        for (let i = 1; i < this.timeData.length - samples; i++) {
+            if (this.timeData[i - 1] < 0 && this.timeData[i] >= 0) {
+                start = i;
+                break;
+            }
+        }
+        
+        ctx.strokeStyle = '#8BC34A';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        for (let x = 0; x < width; x++) {
+            const value = this.timeData[start + Math.floor(x / width * samples)];
+            const y = height / 2 - value * height / 2;
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+    
+    /**
+     * Draw the log-frequency spectrum with note gridlines and the last note's partials
+     */
+    drawSpectrum() {
+        const { canvas, ctx } = this.spectrum;
+        const { width, height } = canvas;
+        ctx.fillStyle = '#1a252f';
+        ctx.fillRect(0, 0, width, height);
+        
+        this.drawNoteGrid(ctx, width, height);
+        
+        // Loudest bin under each pixel column
+        const levels = this.getColumnLevels(width);
+        ctx.fillStyle = 'rgba(58, 134, 255, 0.35)';
+        ctx.strokeStyle = '#3a86ff';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        levels.forEach((level, x) => ctx.lineTo(x, height - level * height));
+        ctx.lineTo(width, height);
+        ctx.fill();
+        ctx.stroke();
+        
+        this.drawPartials(ctx, width, height, levels);
+    }
+    
+    /**
+     * Draw a gridline on every C key, where the tuning puts it, labelled with the
+     * key's name (its scale degree under a Scala scale)
+     */
+    drawNoteGrid(ctx, width, height) {
+        const tuning = this.pianoModel.tuning;
+        ctx.font = '10px sans-serif';
+        ctx.lineWidth = 1;
+        
+        for (let midiNote = 12; midiNote <= 132; midiNote += 12) {
+            // Keys a Scala mapping leaves out have no pitch to mark
+            const frequency = tuning.getFrequency(midiNote);
+            if (frequency === null || frequency < this.minFrequency || frequency > this.maxFrequency) continue;
+            
+            const x = this.frequencyToX(frequency, width);
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.15)';
+            ctx.beginPath();
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            
+            ctx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            ctx.fillText(tuning.getNoteName(midiNote), x + 2, 10);
+        }
+    }
+    
+    /**
+     * Mark the partials of the most recently struck note
+     *
+     * Each marker sits where the string's stiffness puts the partial; the short
+     * tick below it shows where a perfectly harmonic partial would be, so the
+     * spread between them is the inharmonicity of this build.
+     */
+    drawPartials(ctx, width, height, levels) {
+        const lastNote = this.pianoModel.lastStruckNote;
+        if (!lastNote) return;
+        
+        const partials = this.pianoModel.getPartialFrequencies(lastNote.midiNote, this.partialCount);
+        if (partials.length === 0) return;
+        
+        ctx.font = '10px sans-serif';
+        partials.forEach((frequency, i) => {
+            if (frequency > this.maxFrequency) return;
+            
+            const x = this.frequencyToX(frequency, width);
+            const harmonicX = this.frequencyToX(partials[0] * (i + 1), width);
+            const y = height - levels[Math.min(width - 1, Math.max(0, Math.round(x)))] * height;
+            
+            ctx.strokeStyle = 'rgba(241, 196, 15, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(x, y);
+            ctx.lineTo(x, height);
+            ctx.stroke();
+            
+            ctx.strokeStyle = 'rgba(255, 255, 255, 0.6)';
+            ctx.beginPath();
+            ctx.moveTo(harmonicX, height - 6);
+            ctx.lineTo(harmonicX, height);
+            ctx.stroke();
+            
+            ctx.fillStyle = '#f1c40f';
+            ctx.beginPath();
+            ctx.arc(x, y, 3, 0, 2 * Math.PI);
+            ctx.fill();
+            
+            // Number the first few; higher ones crowd together
+            if (i < 8) {
+                ctx.fillText(String(i + 1), x + 3, Math.max(22, y - 4));
+            }
+        });
+        
+        const noteName = this.pianoModel.tuning.getNoteName(lastNote.midiNote);
+        ctx.fillStyle = '#f1c40f';
+        ctx.fillText(`Partials of ${noteName}`, width - 110, 10);
+    }
+    
+    /**
+     * Scroll the spectrogram up by one row and draw the newest spectrum at the bottom
+     */
+    drawWaterfall() {
+        const { canvas, ctx } = this.waterfall;
+        const { width, height } = canvas;
+        
+        ctx.drawImage(canvas, 0, -1);
+        
+        const row = ctx.createImageData(width, 1);
+        this.getColumnLevels(width).forEach((level, x) => {
+            const [r, g, b] = this.getHeatColor(level);
+            row.data[x * 4] = r;
+            row.data[x * 4 + 1] = g;
+            row.data[x * 4 + 2] = b;
+            row.data[x * 4 + 3] = 255;
+        });
+        ctx.putImageData(row, 0, height - 1);
+    }
+    
+    /**
+     * Get the level of each pixel column on the log frequency axis
+     * @param {number} width - Number of columns
+     * @returns {number[]} - Levels from 0 (minDecibels or below) to 1 (maxDecibels)
+     */
+    getColumnLevels(width) {
+        const binWidth = this.analyser.context.sampleRate / this.analyser.fftSize;
+        const levels = new Array(width);
+        
+        for (let x = 0; x < width; x++) {
+            const low = Math.floor(this.xToFrequency(x, width) / binWidth);
+            const high = Math.max(low, Math.floor(this.xToFrequency(x + 1, width) / binWidth));
+            
+            let decibels = -Infinity;
+            for (let bin = low; bin <= high && bin < this.frequencyData.length; bin++) {
+                decibels = Math.max(decibels, this.frequencyData[bin]);
+            }
+            levels[x] = Math.max(0, Math.min(1, (decibels - this.minDecibels) / (this.maxDecibels - this.minDecibels)));
+        }
+        
+        return levels;
+    }
+    
+    /**
+     * Map a level to a dark blue - purple - orange - yellow colour
+     * @returns {number[]} - [r, g, b]
+     */
+    getHeatColor(level) {
+        const stops = [[26, 37, 47], [90, 40, 140], [230, 100, 40], [255, 230, 120]];
+        const position = level * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const fraction = position - index;
+        return stops[index].map((channel, i) => Math.round(channel + (stops[index + 1][i] - channel) * fraction));
+    }
+    
+    /**
+     * Convert between frequency and x position on the log axis
+     */
+    frequencyToX(frequency, width) {
+        return Math.log(frequency / this.minFrequency) / Math.log(this.maxFrequency / this.minFrequency) * width;
+    }
+    
+    xToFrequency(x, width) {
+        return this.minFrequency * Math.pow(this.maxFrequency / this.minFrequency, x / width);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SpectrumPanel;
+}
@@ -0,0 +1,503 @@
+/**
+ * String Synth - Renders Karplus-Strong string voices into audio buffers
+ *
+ * Each string is computed sample by sample in plain JavaScript and cached as an
+ * AudioBuffer, so it plays the same way from file://, in an OfflineAudioContext
+ * or anywhere else AudioWorklets are not available. Strings are rendered ahead
+ * of the notes (see prerender), in a worker where the browser allows one.
+ */
+class StringSynth {
+    /**
+     * @param {BaseAudioContext} audioContext - Context the buffers are created for
+     * @param {Object} options
+     * @param {Function} options.Worker - Constructor used to render strings in the background
+     *                                    (default: the browser's Worker; without one strings render between other tasks)
+     */
+    constructor(audioContext, options = {}) {
+        this.audioContext = audioContext;
+        this.sampleRate = audioContext.sampleRate;
+        this.Worker = options.Worker || (typeof Worker !== 'undefined' ? Worker : null);
+        
+        // Rendered strings keyed by their parameters, oldest first
+        this.bufferCache = new Map();
+        this.cachedSamples = 0;
+        
+        // Roughly 128 MB of Float32 samples (a full keyboard of most builds) before old strings are evicted
+        this.maxCachedSamples = 32 * 1024 * 1024;
+        
+        // Longest string we will render, in seconds. Low strings would ring for longer
+        // (see PianoModel.getStringParameters); they are faded out over the last fifth
+        // instead, which keeps the strings of most builds within the cache above.
+        this.maxDuration = 12;
+        
+        // Background rendering: the worker (created on first use, null if there is none),
+        // its requests still waiting for an answer, and the current prerender list
+        this.worker = undefined;
+        this.workerRequests = new Map();
+        this.nextRequestId = 0;
+        this.prerenderGeneration = 0;
+    }
+    
+    /**
+     * Get the AudioBuffer for a string, rendering it if it is not cached yet
+     * @param {Object} params - String parameters (see renderString)
+     * @returns {AudioBuffer} - Mono buffer holding the string's free vibration
+     */
+    getStringBuffer(params) {
+        const key = this.getCacheKey(params);
+        
+        const cached = this.getCachedBuffer(key);
+        if (cached) {
+            return cached;
+        }
+        
+        return this.cacheString(key, this.renderString(params));
+    }
+    
+    /**
+     * Look up a cached string, marking it as the most recently used
+     * @param {string} key - Cache key (see getCacheKey)
+     * @returns {AudioBuffer|null}
+     */
+    getCachedBuffer(key) {
+        if (!this.bufferCache.has(key)) {
+            return null;
+        }
+        
+        // Move to the end so the most recently used strings are evicted last
+        const cached = this.bufferCache.get(key);
+        this.bufferCache.delete(key);
+        this.bufferCache.set(key, cached);
+        return cached;
+    }
+    
+    /**
+     * Store rendered samples in the cache as an AudioBuffer
+     * @param {string} key - Cache key (see getCacheKey)
+     * @param {Float32Array} samples - Rendered string
+     * @returns {AudioBuffer}
+     */
+    cacheString(key, samples) {
+        const buffer = this.audioContext.createBuffer(1, samples.length, this.sampleRate);
+        buffer.getChannelData(0).set(samples);
+        
+        this.bufferCache.set(key, buffer);
+        this.cachedSamples += samples.length;
+        
+        // Evict the least recently used strings once the cache grows too large
+        for (const [oldKey, oldBuffer] of this.bufferCache) {
+            if (this.cachedSamples <= this.maxCachedSamples || oldKey === key) break;
+            this.bufferCache.delete(oldKey);
+            this.cachedSamples -= oldBuffer.length;
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Render strings ahead of time so the notes that use them start without a render
+     *
+     * Strings render one at a time, in a worker when the browser allows one and
+     * otherwise between other tasks, so the page stays responsive. A new call
+     * drops whatever is still waiting from the previous one. The list stops
+     * where the cache would start evicting its own first strings.
+     *
+     * @param {Object[]} paramsList - String parameters (see renderString), most wanted first
+     * @returns {Promise<number>} - Number of strings rendered, once the list is done or replaced
+     */
+    async prerender(paramsList) {
+        const generation = ++this.prerenderGeneration;
+        let budget = this.maxCachedSamples;
+        let rendered = 0;
+        
+        for (const params of paramsList) {
+            budget -= this.getStringLength(params);
+            if (budget < 0 || generation !== this.prerenderGeneration) break;
+            
+            const key = this.getCacheKey(params);
+            if (this.getCachedBuffer(key)) continue;
+            
+            const samples = await this.renderInBackground(params);
+            
+            // A note may have needed the string while it was rendering
+            if (!this.getCachedBuffer(key)) {
+                this.cacheString(key, samples);
+                rendered++;
+            }
+        }
+        
+        return rendered;
+    }
+    
+    /**
+     * Render a string without holding up the main thread for longer than one string
+     * @param {Object} params - String parameters (see renderString)
+     * @returns {Promise<Float32Array>}
+     */
+    renderInBackground(params) {
+        const worker = this.getWorker();
+        
+        if (!worker) {
+            return new Promise(resolve => {
+                setTimeout(() => resolve(this.renderString(params)), 0);
+            });
+        }
+        
+        return new Promise(resolve => {
+            const id = this.nextRequestId++;
+            this.workerRequests.set(id, { params, resolve });
+            worker.postMessage({ id, params });
+        });
+    }
+    
+    /**
+     * Get the rendering worker, starting it on first use
+     *
+     * The worker runs this class's own renderString (and the shared noise), so
+     * both paths render the same samples. It is loaded from a Blob, which also
+     * works from file://.
+     *
+     * @returns {Worker|null} - null if workers are not available
+     */
+    getWorker() {
+        if (this.worker !== undefined) {
+            return this.worker;
+        }
+        
+        this.worker = null;
+        if (!this.Worker || typeof Blob === 'undefined' || typeof URL === 'undefined') {
+            return null;
+        }
+        
+        const source = `${SeededRandom}
+            ${StringSynth}
+            const synth = new StringSynth({ sampleRate: ${this.sampleRate} });
+            synth.maxDuration = ${this.maxDuration};
+            self.onmessage = (event) => {
+                const samples = synth.renderString(event.data.params);
+                self.postMessage({ id: event.data.id, samples }, [samples.buffer]);
+            };`;
+        
+        try {
+            const url = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+            this.worker = new this.Worker(url);
+        } catch (e) {
+            console.warn('String worker not available, rendering between tasks instead:', e);
+            return null;
+        }
+        
+        this.worker.onmessage = (event) => {
+            const request = this.workerRequests.get(event.data.id);
+            this.workerRequests.delete(event.data.id);
+            if (request) {
+                request.resolve(event.data.samples);
+            }
+        };
+        
+        // If the worker fails (e.g. a content security policy refuses it), render here instead
+        this.worker.onerror = (event) => {
+            console.warn('String worker failed, rendering between tasks instead:', event.message);
+            this.worker.terminate();
+            this.worker = null;
+            
+            const requests = Array.from(this.workerRequests.values());
+            this.workerRequests.clear();
+            requests.forEach(request => {
+                setTimeout(() => request.resolve(this.renderString(request.params)), 0);
+            });
+        };
+        
+        return this.worker;
+    }
+    
+    /**
+     * Get the number of samples a string renders to
+     * @param {Object} params - String parameters (see renderString)
+     */
+    getStringLength(params) {
+        return Math.max(1, Math.ceil(Math.min(params.decayTime, this.maxDuration) * this.sampleRate));
+    }
+    
+    /**
+     * Build a cache key from rounded string parameters
+     */
+    getCacheKey(params) {
+        return Object.keys(params).sort().map(name => {
+            const value = params[name];
+            return `${name}=${typeof value === 'number' ? value.toFixed(4) : value}`;
+        }).join('|');
+    }
+    
+    /**
+     * Clear all cached strings
+     */
+    clearCache() {
+        this.bufferCache.clear();
+        this.cachedSamples = 0;
+    }
+    
+    /**
+     * Render a struck string with the Karplus-Strong algorithm
+     *
+     * The loop is: delay line (string length) -> one-zero loop filter (energy
+     * loss at high frequencies) -> allpass cascade (stiffness dispersion) ->
+     * first-order allpass (fractional tuning) -> feedback gain (overall decay).
+     *
+     * @param {Object} params
+     * @param {number} params.frequency - Fundamental frequency in Hz
+     * @param {number} params.decayTime - Time in seconds for the fundamental to fall by 60 dB (the aftersound)
+     * @param {number} [params.promptDecayTime] - 60 dB decay time of the initial, faster "prompt" sound
+     * @param {number} [params.aftersoundLevel] - Amplitude the prompt sound hands over to the aftersound, 0 to 1
+     * @param {number} params.brightness - 0 (dull, heavily damped highs) to 1 (bright)
+     * @param {number} params.inharmonicity - String stiffness coefficient B (partial n sits at n * f * sqrt(1 + B * n^2))
+     * @param {number} params.hardness - Hammer/material hardness, 0 (soft felt) to 1 (hard)
+     * @param {number} params.seed - Seed for the noise burst so renders are repeatable
+     * @returns {Float32Array} - Rendered samples
+     */
+    renderString(params) {
+        const { frequency, decayTime, promptDecayTime, aftersoundLevel, brightness, inharmonicity, hardness, seed } = params;
+        const sampleRate = this.sampleRate;
+        
+        // Loop filter coefficient: 0.5 is the classic averaging filter, smaller is brighter
+        const loopFilter = 0.5 - 0.45 * Math.max(0, Math.min(1, brightness));
+        
+        // Split the period between the delay line, the dispersion allpasses and the tuning allpass
+        const period = sampleRate / frequency;
+        const { delayLength, tuningCoefficient, dispersionCoefficient, dispersionStages } =
+            this.designLoop(frequency, loopFilter, inharmonicity || 0);
+        
+        // Feedback gain per trip around the loop so the string decays in decayTime
+        const feedback = Math.pow(10, -3 / (frequency * decayTime));
+        
+        const length = this.getStringLength(params);
+        const output = new Float32Array(length);
+        
+        const excitation = this.createHammerExcitation(period, hardness, seed);
+        
+        const delayLine = new Float32Array(delayLength);
+        let index = 0;
+        let filterState = 0;
+        let allpassInput = 0;
+        let allpassOutput = 0;
+        const dispersionInput = new Float32Array(dispersionStages);
+        const dispersionOutput = new Float32Array(dispersionStages);
+        
+        // DC blocker state (the noise burst is not guaranteed to be zero mean)
+        let dcInput = 0;
+        let dcOutput = 0;
+        
+        for (let n = 0; n < length; n++) {
+            const delayed = delayLine[index];
+            
+            // One-zero loop filter
+            const filtered = (1 - loopFilter) * delayed + loopFilter * filterState;
+            filterState = delayed;
+            
+            // Dispersion: high partials travel faster round a stiff string
+            let dispersed = filtered;
+            for (let stage = 0; stage < dispersionStages; stage++) {
+                const stageOutput = dispersionCoefficient * dispersed + dispersionInput[stage] - dispersionCoefficient * dispersionOutput[stage];
+                dispersionInput[stage] = dispersed;
+                dispersionOutput[stage] = stageOutput;
+                dispersed = stageOutput;
+            }
+            
+            // First-order allpass for the fractional part of the period
+            const tuned = tuningCoefficient * dispersed + allpassInput - tuningCoefficient * allpassOutput;
+            allpassInput = dispersed;
+            allpassOutput = tuned;
+            
+            const sample = (n < excitation.length ? excitation[n] : 0) + feedback * tuned;
+            delayLine[index] = sample;
+            index = (index + 1) % delayLength;
+            
+            dcOutput = sample - dcInput + 0.995 * dcOutput;
+            dcInput = sample;
+            output[n] = dcOutput;
+        }
+        
+        // Two-stage decay: the loop rings for the slow aftersound, and an extra
+        // exponential on the part above the aftersound level makes the prompt sound
+        if (promptDecayTime && promptDecayTime < decayTime) {
+            const promptShare = 1 - Math.max(0, Math.min(1, aftersoundLevel || 0));
+            const promptPerSample = Math.exp(-6.91 * (1 / promptDecayTime - 1 / decayTime) / sampleRate);
+            let prompt = promptShare;
+            for (let i = 0; i < length; i++) {
+                output[i] *= 1 - promptShare + prompt;
+                prompt *= promptPerSample;
+            }
+        }
+        
+        // Normalize the attack to a fixed level: loudness is applied by the note gain
+        const attackLength = Math.min(length, Math.ceil(0.1 * sampleRate));
+        let energy = 0;
+        for (let i = 0; i < attackLength; i++) {
+            energy += output[i] * output[i];
+        }
+        const scale = energy > 0 ? 0.2 / Math.sqrt(energy / attackLength) : 0;
+        for (let i = 0; i < length; i++) {
+            output[i] *= scale;
+        }
+        
+        // Fade the tail so strings cut short by maxDuration do not end with a click
+        const fadeLength = Math.min(Math.floor(length * 0.2), sampleRate);
+        for (let i = 0; i < fadeLength; i++) {
+            output[length - 1 - i] *= i / fadeLength;
+        }
+        
+        return output;
+    }
+    
+    /**
+     * Design the string loop for a frequency: integer delay, tuning allpass and
+     * dispersion allpasses
+     *
+     * The dispersion coefficient is found by bisection so that the 8th partial
+     * (or the highest one below Nyquist) lands where the inharmonicity puts it,
+     * while the fundamental stays at the requested frequency.
+     *
+     * @param {number} frequency - Fundamental frequency in Hz
+     * @param {number} loopFilter - One-zero loop filter coefficient
+     * @param {number} inharmonicity - Stiffness coefficient B
+     * @returns {Object} - delayLength, tuningCoefficient, dispersionCoefficient, dispersionStages
+     */
+    designLoop(frequency, loopFilter, inharmonicity) {
+        const period = this.sampleRate / frequency;
+        const omega = 2 * Math.PI * frequency / this.sampleRate;
+        const loopFilterDelay = this.oneZeroPhaseDelay(omega, loopFilter);
+        
+        // Fill whatever the other filters leave of the period with the delay line and tuning allpass
+        const tune = (dispersionDelay) => {
+            const remaining = period - loopFilterDelay - dispersionDelay;
+            const delayLength = Math.floor(remaining - 0.1);
+            if (delayLength < 2) return null;
+            const fraction = remaining - delayLength;
+            return { delayLength, tuningCoefficient: (1 - fraction) / (1 + fraction) };
+        };
+        
+        const harmonicLoop = tune(0) || { delayLength: 2, tuningCoefficient: 0 };
+        const targetPartial = Math.min(8, Math.floor(0.45 * this.sampleRate / frequency));
+        
+        if (inharmonicity <= 0 || targetPartial < 2) {
+            return { ...harmonicLoop, dispersionCoefficient: 0, dispersionStages: 0 };
+        }
+        
+        const dispersionStages = 4;
+        const targetRatio = targetPartial * Math.sqrt((1 + inharmonicity * targetPartial * targetPartial) / (1 + inharmonicity));
+        
+        // Ratio of the target partial to the fundamental for a dispersion coefficient
+        const partialRatio = (coefficient) => {
+            const loop = tune(dispersionStages * this.allpassPhaseDelay(omega, coefficient));
+            if (!loop) return Infinity;
+            
+            // Solve w * loopDelay(w) = 2 * pi * k by fixed-point iteration
+            let partialOmega = targetPartial * omega;
+            for (let i = 0; i < 20; i++) {
+                const loopDelay = loop.delayLength +
+                    this.oneZeroPhaseDelay(partialOmega, loopFilter) +
+                    this.allpassPhaseDelay(partialOmega, loop.tuningCoefficient) +
+                    dispersionStages * this.allpassPhaseDelay(partialOmega, coefficient);
+                partialOmega = 2 * Math.PI * targetPartial / loopDelay;
+            }
+            return partialOmega / omega;
+        };
+        
+        // More negative coefficients stretch the partials further
+        let mostDispersive = -0.95;
+        let leastDispersive = 0;
+        for (let i = 0; i < 24; i++) {
+            const coefficient = (mostDispersive + leastDispersive) / 2;
+            if (partialRatio(coefficient) > targetRatio) {
+                mostDispersive = coefficient;
+            } else {
+                leastDispersive = coefficient;
+            }
+        }
+        
+        const loop = tune(dispersionStages * this.allpassPhaseDelay(omega, leastDispersive)) || harmonicLoop;
+        return { ...loop, dispersionCoefficient: leastDispersive, dispersionStages };
+    }
+    
+    /**
+     * Phase delay in samples of a first-order allpass (a + z^-1) / (1 + a z^-1)
+     */
+    allpassPhaseDelay(omega, coefficient) {
+        const numerator = Math.atan2(-Math.sin(omega), coefficient + Math.cos(omega));
+        const denominator = Math.atan2(-coefficient * Math.sin(omega), 1 + coefficient * Math.cos(omega));
+        return -(numerator - denominator) / omega;
+    }
+    
+    /**
+     * Phase delay in samples of the one-zero loop filter (1 - s) + s z^-1
+     */
+    oneZeroPhaseDelay(omega, coefficient) {
+        return Math.atan2(coefficient * Math.sin(omega), (1 - coefficient) + coefficient * Math.cos(omega)) / omega;
+    }
+    
+    /**
+     * Create the force signal of a full blow of a felt hammer on the string
+     *
+     * Only the full blow is rendered, so each key needs one buffer. A softer blow
+     * would compress the felt less, giving a longer contact and a rounder pulse;
+     * the note's hammer lowpass approximates that by taking off the treble it would
+     * lose (see PianoModel.getHammerFilterFrequency).
+     *
+     * @param {number} period - String period in samples
+     * @param {number} hardness - Hammer/material hardness, 0 to 1
+     * @param {number} seed - Random seed for the felt noise
+     * @returns {Float32Array}
+     */
+    createHammerExcitation(period, hardness, seed) {
+        const sampleRate = this.sampleRate;
+        const random = SeededRandom.create(seed);
+        
+        // Contact time: about 1.5 ms, shorter for a harder hammer
+        const contactTime = 0.0015 * (1.3 - 0.6 * hardness);
+        const contactLength = Math.max(2, Math.round(contactTime * sampleRate));
+        
+        // Pulse sharpness: the felt stiffens as it is compressed
+        const sharpness = 1 + 3 * (0.5 + hardness);
+        
+        // Spectral tilt: a one-pole lowpass whose cutoff rises with hardness
+        const cutoff = this.getHammerCutoff(1, hardness);
+        const smoothing = Math.exp(-2 * Math.PI * cutoff / sampleRate);
+        
+        // The hammer strikes about 1/8 of the way along the string, which suppresses
+        // every 8th partial (a comb filter on the force signal)
+        const strikeOffset = Math.max(1, Math.round(period * 0.125));
+        const force = new Float32Array(contactLength + strikeOffset);
+        
+        let filtered = 0;
+        for (let i = 0; i < force.length; i++) {
+            let pulse = 0;
+            if (i < contactLength) {
+                // Half-sine force pulse with a little felt noise on top
+                pulse = Math.pow(Math.sin(Math.PI * (i + 0.5) / contactLength), sharpness);
+                pulse += 0.15 * pulse * (random() * 2 - 1);
+            }
+            filtered = smoothing * filtered + (1 - smoothing) * pulse;
+            force[i] = filtered;
+        }
+        
+        const excitation = new Float32Array(force.length);
+        for (let i = 0; i < force.length; i++) {
+            excitation[i] = force[i] - (i >= strikeOffset ? force[i - strikeOffset] : 0);
+        }
+        
+        return excitation;
+    }
+    
+    /**
+     * Get the cutoff of the hammer's spectral tilt, which rises with the strength of the blow
+     * @param {number} velocity - Hammer velocity, 0 to 1
+     * @param {number} hardness - Hammer/material hardness, 0 to 1
+     * @returns {number} - One-pole lowpass cutoff in Hz
+     */
+    getHammerCutoff(velocity, hardness) {
+        return 500 + 9000 * Math.pow(velocity, 1.5) * (0.4 + 0.6 * hardness);
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StringSynth;
+}
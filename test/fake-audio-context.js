@@ -0,0 +1,332 @@
+/**
+ * Fake Audio Context - Handles standing in for the Web Audio API in the tests
+ *
+ * Nodes do not process any audio. They keep their settings, connections and
+ * scheduled parameter changes, so a test can check the graph that code built.
+ * describe() lists all of it in creation order; hash() condenses that, with the
+ * samples of every buffer, into one value for regression tests.
+ */
+const crypto = require('crypto');
+
+class FakeAudioParam {
+    /**
+     * @param {FakeAudioNode} node - Node the parameter belongs to
+     * @param {string} name - Parameter name, e.g. 'gain'
+     * @param {number} value - Initial value
+     */
+    constructor(node, name, value) {
+        this.node = node;
+        this.name = name;
+        this.value = value;
+        
+        // Scheduled changes in the order they were made: { method, args }
+        this.events = [];
+    }
+    
+    schedule(method, args) {
+        this.events.push({ method, args });
+        return this;
+    }
+    
+    setValueAtTime(value, time) {
+        this.value = value;
+        return this.schedule('setValueAtTime', [value, time]);
+    }
+    
+    linearRampToValueAtTime(value, time) {
+        return this.schedule('linearRampToValueAtTime', [value, time]);
+    }
+    
+    exponentialRampToValueAtTime(value, time) {
+        return this.schedule('exponentialRampToValueAtTime', [value, time]);
+    }
+    
+    setTargetAtTime(value, time, timeConstant) {
+        return this.schedule('setTargetAtTime', [value, time, timeConstant]);
+    }
+    
+    setValueCurveAtTime(values, time, duration) {
+        return this.schedule('setValueCurveAtTime', [Array.from(values), time, duration]);
+    }
+    
+    cancelScheduledValues(time) {
+        return this.schedule('cancelScheduledValues', [time]);
+    }
+    
+    cancelAndHoldAtTime(time) {
+        return this.schedule('cancelAndHoldAtTime', [time]);
+    }
+}
+
+class FakeAudioNode {
+    /**
+     * @param {FakeAudioContext} context - Context that created the node
+     * @param {string} kind - Node type, e.g. 'Gain'
+     * @param {Object} params - Initial values of the node's AudioParams by name
+     * @param {Object} properties - Other settings, e.g. { type: 'lowpass' }
+     */
+    constructor(context, kind, params = {}, properties = {}) {
+        this.context = context;
+        this.kind = kind;
+        this.id = context.nodes.length;
+        this.paramNames = Object.keys(params);
+        this.outputs = [];
+        
+        this.paramNames.forEach(name => {
+            this[name] = new FakeAudioParam(this, name, params[name]);
+        });
+        Object.assign(this, properties);
+        
+        context.nodes.push(this);
+    }
+    
+    connect(destination) {
+        this.outputs.push(destination);
+        return destination;
+    }
+    
+    disconnect(destination) {
+        this.outputs = destination === undefined ? [] : this.outputs.filter(output => output !== destination);
+    }
+    
+    /**
+     * List the node's settings, parameters and outputs
+     * @param {Function} describeValue - Turns buffers and sample arrays into something printable
+     * @returns {Object}
+     */
+    describe(describeValue) {
+        const description = { id: this.id, kind: this.kind };
+        
+        Object.keys(this).forEach(key => {
+            const value = this[key];
+            if (['context', 'kind', 'id', 'paramNames', 'outputs'].includes(key) || this.paramNames.includes(key) ||
+                typeof value === 'function') return;
+            description[key] = describeValue(value);
+        });
+        
+        description.params = {};
+        this.paramNames.forEach(name => {
+            description.params[name] = { value: this[name].value, events: this[name].events };
+        });
+        
+        description.outputs = this.outputs.map(output =>
+            output instanceof FakeAudioParam ? `${output.node.id}.${output.name}` : output.id);
+        
+        return description;
+    }
+}
+
+class FakeAudioScheduledSourceNode extends FakeAudioNode {
+    constructor(context, kind, params, properties) {
+        super(context, kind, params, Object.assign({ startTime: null, stopTime: null, onended: null }, properties));
+    }
+    
+    start(when = 0) {
+        this.startTime = when;
+    }
+    
+    stop(when = 0) {
+        if (this.startTime === null) {
+            throw new Error('InvalidStateError: stop() called before start()');
+        }
+        this.stopTime = when;
+    }
+}
+
+class FakeBiquadFilterNode extends FakeAudioNode {
+    constructor(context) {
+        super(context, 'BiquadFilter', { frequency: 350, detune: 0, Q: 1, gain: 0 }, { type: 'lowpass' });
+    }
+    
+    /**
+     * The response of the filter's current settings (Audio EQ Cookbook formulas, as browsers use)
+     */
+    getFrequencyResponse(frequencies, magnitudes, phases) {
+        const { b, a } = this.getCoefficients();
+        for (let i = 0; i < frequencies.length; i++) {
+            const w = 2 * Math.PI * frequencies[i] / this.context.sampleRate;
+            const numeratorRe = b[0] + b[1] * Math.cos(w) + b[2] * Math.cos(2 * w);
+            const numeratorIm = -b[1] * Math.sin(w) - b[2] * Math.sin(2 * w);
+            const denominatorRe = a[0] + a[1] * Math.cos(w) + a[2] * Math.cos(2 * w);
+            const denominatorIm = -a[1] * Math.sin(w) - a[2] * Math.sin(2 * w);
+            magnitudes[i] = Math.hypot(numeratorRe, numeratorIm) / Math.hypot(denominatorRe, denominatorIm);
+            phases[i] = Math.atan2(numeratorIm, numeratorRe) - Math.atan2(denominatorIm, denominatorRe);
+        }
+    }
+    
+    getCoefficients() {
+        const frequency = Math.min(this.frequency.value, this.context.sampleRate / 2 - 1);
+        const w0 = 2 * Math.PI * frequency / this.context.sampleRate;
+        const cosW0 = Math.cos(w0);
+        const alpha = Math.sin(w0) / (2 * this.Q.value);
+        const A = Math.pow(10, this.gain.value / 40);
+        const shelfAlpha = Math.sin(w0) / 2 * Math.SQRT2;
+        const rootA = 2 * Math.sqrt(A) * shelfAlpha;
+        
+        switch (this.type) {
+            case 'lowpass':
+                return { b: [(1 - cosW0) / 2, 1 - cosW0, (1 - cosW0) / 2], a: [1 + alpha, -2 * cosW0, 1 - alpha] };
+            case 'highpass':
+                return { b: [(1 + cosW0) / 2, -(1 + cosW0), (1 + cosW0) / 2], a: [1 + alpha, -2 * cosW0, 1 - alpha] };
+            case 'bandpass':
+                return { b: [alpha, 0, -alpha], a: [1 + alpha, -2 * cosW0, 1 - alpha] };
+            case 'peaking':
+                return { b: [1 + alpha * A, -2 * cosW0, 1 - alpha * A], a: [1 + alpha / A, -2 * cosW0, 1 - alpha / A] };
+            case 'lowshelf':
+                return {
+                    b: [A * ((A + 1) - (A - 1) * cosW0 + rootA), 2 * A * ((A - 1) - (A + 1) * cosW0), A * ((A + 1) - (A - 1) * cosW0 - rootA)],
+                    a: [(A + 1) + (A - 1) * cosW0 + rootA, -2 * ((A - 1) + (A + 1) * cosW0), (A + 1) + (A - 1) * cosW0 - rootA]
+                };
+            case 'highshelf':
+                return {
+                    b: [A * ((A + 1) + (A - 1) * cosW0 + rootA), -2 * A * ((A - 1) + (A + 1) * cosW0), A * ((A + 1) + (A - 1) * cosW0 - rootA)],
+                    a: [(A + 1) - (A - 1) * cosW0 + rootA, 2 * ((A - 1) - (A + 1) * cosW0), (A + 1) - (A - 1) * cosW0 - rootA]
+                };
+            default:
+                return { b: [1, 0, 0], a: [1, 0, 0] };
+        }
+    }
+}
+
+class FakeAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+    
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+class FakeAudioContext {
+    /**
+     * @param {Object} options
+     * @param {number} options.sampleRate - Default 44100
+     */
+    constructor(options = {}) {
+        this.sampleRate = options.sampleRate || 44100;
+        this.currentTime = 0;
+        this.state = 'running';
+        
+        // Every node created, in order
+        this.nodes = [];
+        this.destination = new FakeAudioNode(this, 'Destination');
+    }
+    
+    resume() {
+        this.state = 'running';
+        return Promise.resolve();
+    }
+    
+    createGain() {
+        return new FakeAudioNode(this, 'Gain', { gain: 1 });
+    }
+    
+    createBiquadFilter() {
+        return new FakeBiquadFilterNode(this);
+    }
+    
+    createStereoPanner() {
+        return new FakeAudioNode(this, 'StereoPanner', { pan: 0 });
+    }
+    
+    createConvolver() {
+        return new FakeAudioNode(this, 'Convolver', {}, { buffer: null, normalize: true });
+    }
+    
+    createWaveShaper() {
+        return new FakeAudioNode(this, 'WaveShaper', {}, { curve: null, oversample: 'none' });
+    }
+    
+    createDynamicsCompressor() {
+        return new FakeAudioNode(this, 'DynamicsCompressor',
+            { threshold: -24, knee: 30, ratio: 12, attack: 0.003, release: 0.25 }, { reduction: 0 });
+    }
+    
+    createChannelSplitter(numberOfOutputs = 6) {
+        return new FakeAudioNode(this, 'ChannelSplitter', {}, { numberOfOutputs });
+    }
+    
+    createAnalyser() {
+        const analyser = new FakeAudioNode(this, 'Analyser', {},
+            { fftSize: 2048, minDecibels: -100, maxDecibels: -30, smoothingTimeConstant: 0.8 });
+        
+        // Silence
+        Object.defineProperty(analyser, 'frequencyBinCount', { get: () => analyser.fftSize / 2 });
+        analyser.getFloatTimeDomainData = (array) => array.fill(0);
+        analyser.getByteTimeDomainData = (array) => array.fill(128);
+        analyser.getFloatFrequencyData = (array) => array.fill(-Infinity);
+        analyser.getByteFrequencyData = (array) => array.fill(0);
+        return analyser;
+    }
+    
+    createOscillator() {
+        return new FakeAudioScheduledSourceNode(this, 'Oscillator', { frequency: 440, detune: 0 }, { type: 'sine' });
+    }
+    
+    createBufferSource() {
+        return new FakeAudioScheduledSourceNode(this, 'BufferSource', { playbackRate: 1, detune: 0 },
+            { buffer: null, loop: false });
+    }
+    
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+    
+    /**
+     * List every node with its settings, parameters and outputs, in creation order
+     * @returns {Object[]}
+     */
+    describe() {
+        const digests = new Map();
+        const digest = (view) => {
+            if (!digests.has(view)) {
+                digests.set(view, crypto.createHash('sha256')
+                    .update(Buffer.from(view.buffer, view.byteOffset, view.byteLength)).digest('hex').slice(0, 16));
+            }
+            return digests.get(view);
+        };
+        
+        const describeValue = (value) => {
+            if (value instanceof FakeAudioBuffer) {
+                return `buffer ${value.numberOfChannels}x${value.length}@${value.sampleRate} ${value.channels.map(digest).join(' ')}`;
+            }
+            if (ArrayBuffer.isView(value)) {
+                return `samples ${value.length} ${digest(value)}`;
+            }
+            return value;
+        };
+        
+        return this.nodes.map(node => node.describe(describeValue));
+    }
+    
+    /**
+     * Hash the whole graph (see describe), for regression tests
+     * @returns {string} - Hex digest
+     */
+    hash() {
+        return crypto.createHash('sha256').update(JSON.stringify(this.describe())).digest('hex');
+    }
+}
+
+class FakeOfflineAudioContext extends FakeAudioContext {
+    constructor(numberOfChannels, length, sampleRate) {
+        super({ sampleRate });
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+    }
+    
+    /**
+     * "Render" the graph: a silent buffer of the requested size
+     * @returns {Promise<FakeAudioBuffer>}
+     */
+    startRendering() {
+        return Promise.resolve(this.createBuffer(this.numberOfChannels, this.length, this.sampleRate));
+    }
+}
+
+module.exports = { FakeAudioContext, FakeOfflineAudioContext, FakeAudioBuffer };
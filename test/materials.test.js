@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MaterialRegistry } = require('../script-loader.js').load();
+
+const close = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, message || `${actual} != ${expected}`);
+
+/**
+ * A registry kept in memory, with a second lowpass material to blend with wood
+ */
+function createRegistry() {
+    const registry = new MaterialRegistry(null);
+    const dark = registry.createFromTemplate('wood', 'Dark wood');
+    dark.filter.frequency = 1000;
+    dark.filter.Q = 1.5;
+    dark.string.brightness = 0.3;
+    registry.save(dark);
+    return { registry, darkId: dark.id };
+}
+
+test('resolve returns plain materials as they are and normalizes mixes', () => {
+    const { registry } = createRegistry();
+    assert.equal(registry.resolve('metal'), registry.get('metal'));
+    assert.deepEqual({ ...registry.normalizeMix({ wood: 3, metal: 1, unknown: 5, glass: 0 }) }, { wood: 0.75, metal: 0.25 });
+    assert.equal(registry.resolve({ wood: 2 }), registry.get('wood'));
+});
+
+test('blend averages numeric parameters by weight, log-scaled ones geometrically', () => {
+    const { registry, darkId } = createRegistry();
+    const wood = registry.get('wood');
+    const blended = registry.resolve({ wood: 0.75, [darkId]: 0.25 });
+    
+    close(blended.string.brightness, 0.75 * wood.string.brightness + 0.25 * 0.3);
+    close(blended.filter.frequency, Math.exp(0.75 * Math.log(wood.filter.frequency) + 0.25 * Math.log(1000)));
+    close(blended.filter.Q, 0.75 * wood.filter.Q + 0.25 * 1.5);
+    assert.equal(blended.filter.type, 'lowpass');
+    assert.equal(blended.filterLayers, undefined);
+    assert.equal(blended.distortion, wood.distortion);
+});
+
+test('blend keeps filters of different types apart, one layer per type', () => {
+    const { registry, darkId } = createRegistry();
+    const wood = registry.get('wood');
+    const metal = registry.get('metal');
+    const blended = registry.resolve({ metal: 0.4, wood: 0.3, [darkId]: 0.3 });
+    
+    assert.equal(blended.filterLayers.length, 2);
+    const [lowpass, highshelf] = blended.filterLayers;
+    
+    // The two lowpass materials outweigh the metal, and are averaged with each other only
+    assert.equal(lowpass.type, 'lowpass');
+    close(lowpass.weight, 0.6);
+    close(lowpass.frequency, Math.exp(0.5 * Math.log(wood.filter.frequency) + 0.5 * Math.log(1000)));
+    close(lowpass.Q, 0.5 * wood.filter.Q + 0.5 * 1.5);
+    
+    // The shelf keeps the metal's own settings
+    assert.equal(highshelf.type, 'highshelf');
+    close(highshelf.weight, 0.4);
+    close(highshelf.frequency, metal.filter.frequency);
+    close(highshelf.gain, metal.filter.gain);
+    close(highshelf.Q, metal.filter.Q);
+    
+    // The plain filter is the heaviest layer, so anything reading it alone gets a real filter
+    assert.equal(blended.filter.type, 'lowpass');
+    close(blended.filter.frequency, lowpass.frequency);
+    
+    // Everything else is still averaged across all three, and the character is the heaviest material's
+    close(blended.string.hardness, 0.4 * metal.string.hardness + 0.6 * wood.string.hardness);
+    assert.equal(blended.distortion, metal.distortion);
+});
+
+test('blends are cached per mix and dropped when materials change', () => {
+    const { registry, darkId } = createRegistry();
+    const blended = registry.resolve({ wood: 0.5, [darkId]: 0.5 });
+    assert.equal(registry.resolve({ wood: 0.5, [darkId]: 0.5 }), blended);
+    
+    const dark = JSON.parse(JSON.stringify(registry.get(darkId)));
+    dark.filter.frequency = 500;
+    registry.save(dark);
+    close(registry.resolve({ wood: 0.5, [darkId]: 0.5 }).filter.frequency,
+        Math.sqrt(registry.get('wood').filter.frequency * 500));
+});
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MidiController, Tuning, VelocityCurve } = require('../script-loader.js').load({
+    console: { log() {}, warn() {}, error: console.error }
+});
+
+/**
+ * A stand-in piano that records what the controller asks of it
+ */
+function createPiano() {
+    const calls = [];
+    const record = (name, state) => function (...args) {
+        calls.push([name, ...args]);
+        if (state) {
+            this[state] = args[0];
+        }
+    };
+    return {
+        calls,
+        tuning: new Tuning(),
+        sustainPedal: 0,
+        sostenutoPedal: false,
+        softPedal: 0,
+        damperThreshold: 0.5,
+        playNote: record('playNote'),
+        stopNote: record('stopNote'),
+        forceStopNote: record('forceStopNote'),
+        setSustainPedal: record('setSustainPedal', 'sustainPedal'),
+        setSostenutoPedal: record('setSostenutoPedal', 'sostenutoPedal'),
+        setSoftPedal: record('setSoftPedal', 'softPedal'),
+        setPitchBend: record('setPitchBend'),
+        setChannelPressure: record('setChannelPressure'),
+        setPolyPressure: record('setPolyPressure'),
+        setModWheel: record('setModWheel')
+    };
+}
+
+/**
+ * A controller with one fake MIDI input, ready to receive messages
+ */
+async function createController() {
+    const piano = createPiano();
+    const input = { id: 'input-1', name: 'Test keyboard', manufacturer: 'Test', onmidimessage: null };
+    const controller = new MidiController(piano, {
+        requestMIDIAccess: () => Promise.resolve({ inputs: new Map([[input.id, input]]) }),
+        velocityCurve: new VelocityCurve(null)
+    });
+    await controller.initMIDI();
+    
+    const send = (...data) => input.onmidimessage({ data: Uint8Array.from(data) });
+    return { controller, piano, send };
+}
+
+test('connects to every MIDI input', async () => {
+    const { controller } = await createController();
+    assert.equal(controller.midiInputs.length, 1);
+    assert.ok(controller.activeInputs.has('input-1'));
+});
+
+test('note on and note off on any channel play and release the key', async () => {
+    const { piano, send } = await createController();
+    send(0x93, 60, 127);
+    send(0x83, 60, 32);
+    
+    assert.deepEqual(piano.calls.filter(([name]) => name === 'playNote'), [['playNote', 60, 1]]);
+    assert.deepEqual(piano.calls.filter(([name]) => name === 'stopNote'), [['stopNote', 60, 32 / 127]]);
+});
+
+test('note on with velocity 0 is a note off', async () => {
+    const { piano, send } = await createController();
+    send(0x90, 62, 100);
+    piano.calls.length = 0;
+    send(0x90, 62, 0);
+    
+    assert.deepEqual(piano.calls, [['stopNote', 62, 0.5]]);
+});
+
+test('notes outside the keyboard range are ignored', async () => {
+    const { piano, send } = await createController();
+    send(0x90, 30, 100);
+    assert.equal(piano.calls.filter(([name]) => name === 'playNote').length, 0);
+});
+
+test('pedal and modulation controllers', async () => {
+    const { piano, send } = await createController();
+    send(0xB0, 64, 127);
+    send(0xB0, 64, 0);
+    send(0xB0, 66, 64);
+    send(0xB0, 66, 63);
+    send(0xB0, 67, 127);
+    send(0xB0, 1, 0);
+    send(0xB0, 7, 100);
+    
+    assert.deepEqual(piano.calls, [
+        ['setSustainPedal', 1],
+        ['setSustainPedal', 0],
+        ['setSostenutoPedal', true],
+        ['setSostenutoPedal', false],
+        ['setSoftPedal', 1],
+        ['setModWheel', 0]
+    ]);
+});
+
+test('pitch bend is 14 bits centred on 8192, aftertouch is scaled to 0..1', async () => {
+    const { piano, send } = await createController();
+    send(0xE0, 0x00, 0x40);
+    send(0xE0, 0x00, 0x00);
+    send(0xE0, 0x7F, 0x7F);
+    send(0xD0, 127);
+    send(0xA0, 60, 64);
+    
+    assert.deepEqual(piano.calls, [
+        ['setPitchBend', 0],
+        ['setPitchBend', -1],
+        ['setPitchBend', 8191 / 8192],
+        ['setChannelPressure', 1],
+        ['setPolyPressure', 60, 64 / 127]
+    ]);
+});
+
+test('recording keeps notes and pedals as timed events', async () => {
+    const { controller, send } = await createController();
+    send(0xB0, 64, 127);
+    controller.startRecording();
+    send(0x90, 60, 127);
+    send(0xB0, 67, 127);
+    send(0x80, 60, 64);
+    const events = controller.stopRecording();
+    
+    // The events come from the scripts' own realm, so they are copied into this one to compare
+    assert.deepEqual(Array.from(events, event => event.note !== undefined ? `note ${event.note}` : `cc ${event.controller}=${event.value}`), [
+        'cc 64=1', 'note 60', 'cc 67=1', 'cc 64=0', 'cc 67=0'
+    ]);
+    assert.equal(events[1].velocity, 1);
+    assert.ok(events[1].duration >= 0);
+});
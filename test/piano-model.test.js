@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeAudioContext, FakeOfflineAudioContext } = require('./fake-audio-context.js');
+const { PianoModel } = require('../script-loader.js').load({
+    console: { log() {}, warn() {}, error: console.error }
+});
+
+/**
+ * Stands in for the string rendering worker and never answers, so strings are
+ * only rendered when a note needs them instead of all 88 in the background
+ */
+class IdleWorker {
+    postMessage() {}
+    terminate() {}
+}
+
+function createPiano(material = 'wood') {
+    const audioContext = new FakeAudioContext();
+    const piano = new PianoModel({ audioContext, OfflineAudioContext: FakeOfflineAudioContext, Worker: IdleWorker });
+    piano.setDimensions(150, 150, 40);
+    piano.setMaterial(material);
+    piano.buildPiano();
+    return { piano, audioContext };
+}
+
+const eventsOf = (param) => param.events.map(({ method, args }) => [method, ...args]);
+
+test('a note runs strings -> hammer -> material filter -> brightness -> gain -> panner into the body', () => {
+    const { piano } = createPiano();
+    piano.playNote(60, 0.8);
+    const note = piano.activeNotes[60];
+    
+    assert.ok(note.voices.length >= 2, 'middle C has a unison of strings');
+    note.voices.forEach(voice => {
+        assert.equal(voice.source.kind, 'BufferSource');
+        assert.ok(voice.source.buffer.length > 0);
+        assert.equal(voice.source.startTime, 0);
+        assert.deepEqual(voice.source.outputs, [voice.stringGain]);
+        assert.deepEqual(voice.stringGain.outputs, [note.hammerFilter]);
+    });
+    
+    assert.equal(note.filters.length, 1);
+    assert.deepEqual(note.hammerFilter.outputs, [note.filters[0].filter]);
+    assert.equal(note.filters[0].filter.type, 'lowpass');
+    assert.deepEqual(note.filters[0].gain.outputs, [note.brightnessFilter]);
+    assert.deepEqual(note.brightnessFilter.outputs, [note.noteGain]);
+    assert.deepEqual(note.noteGain.outputs, [note.modGain]);
+    assert.deepEqual(note.modGain.outputs, [note.panner]);
+    assert.deepEqual(note.panner.outputs, [piano.body.voiceBus]);
+});
+
+test('the strike ramps up to the velocity and the damper ramps down over the release time', () => {
+    const { piano, audioContext } = createPiano();
+    piano.playNote(60, 0.8);
+    const note = piano.activeNotes[60];
+    
+    assert.deepEqual(eventsOf(note.noteGain.gain), [
+        ['setValueAtTime', 0, 0],
+        ['linearRampToValueAtTime', 0.8, note.attackEnd]
+    ]);
+    
+    audioContext.currentTime = 1;
+    piano.stopNote(60);
+    assert.ok(note.damped);
+    assert.deepEqual(eventsOf(note.noteGain.gain).slice(2), [
+        ['cancelScheduledValues', 1],
+        ['setValueAtTime', note.noteGain.gain.value, 1],
+        ['linearRampToValueAtTime', 0, 1 + note.releaseTime]
+    ]);
+    note.voices.forEach(voice => assert.equal(voice.source.stopTime, 1 + note.releaseTime + 0.15));
+});
+
+test('the sustain pedal holds released notes until it is lifted', () => {
+    const { piano, audioContext } = createPiano();
+    piano.setSustainPedal(1);
+    piano.playNote(64, 0.6);
+    const note = piano.activeNotes[64];
+    
+    audioContext.currentTime = 0.5;
+    piano.stopNote(64);
+    assert.ok(note.sustained);
+    assert.ok(!note.damped);
+    assert.ok(note.voices.every(voice => voice.source.stopTime === null));
+    
+    audioContext.currentTime = 2;
+    piano.setSustainPedal(0);
+    assert.ok(note.damped);
+    assert.ok(note.voices.every(voice => voice.source.stopTime > 2));
+});
+
+test('a blend of filter types plays its filters side by side, mixed by weight', () => {
+    const { piano } = createPiano({ wood: 0.7, metal: 0.3 });
+    piano.playNote(60, 0.8);
+    const note = piano.activeNotes[60];
+    
+    // The note record comes from the scripts' own realm, so its arrays are copied into this one to compare
+    assert.deepEqual(Array.from(note.filters, layer => [layer.filter.type, layer.gain.gain.value]), [['lowpass', 0.7], ['highshelf', 0.3]]);
+    assert.deepEqual(note.hammerFilter.outputs, Array.from(note.filters, layer => layer.filter));
+    note.filters.forEach(layer => assert.deepEqual(layer.gain.outputs, [note.brightnessFilter]));
+});
+
+test('the classes stay out of the global scope', () => {
+    assert.equal(typeof globalThis.PianoModel, 'undefined');
+    assert.equal(typeof globalThis.SeededRandom, 'undefined');
+});
@@ -0,0 +1,84 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { FakeAudioContext, FakeOfflineAudioContext } = require('./fake-audio-context.js');
+const { PianoModel } = require('../script-loader.js').load({
+    console: { log() {}, warn() {}, error: console.error }
+});
+
+/**
+ * Stands in for the string rendering worker and never answers (see piano-model.test.js)
+ */
+class IdleWorker {
+    postMessage() {}
+    terminate() {}
+}
+
+// A short performance with every pedal: soft-pedalled strike, half pedal, sostenuto and a re-strike
+const recordedPerformance = [
+    { controller: 67, value: 1, time: 0 },
+    { note: 48, velocity: 0.9, time: 0, duration: 0.4, releaseVelocity: 0.3 },
+    { note: 60, velocity: 0.6, time: 0.05, duration: 0.3 },
+    { controller: 67, value: 0, time: 0.2 },
+    { controller: 66, value: 1, time: 0.3 },
+    { note: 60, velocity: 0.8, time: 0.6, duration: 0.2 },
+    { controller: 64, value: 1, time: 0.7 },
+    { note: 67, velocity: 0.7, time: 0.8, duration: 0.1 },
+    { controller: 64, value: 0.5, time: 1.2 },
+    { controller: 66, value: 0, time: 1.5 },
+    { controller: 64, value: 0, time: 1.8 }
+];
+
+/**
+ * Render the performance and hash the offline graph it built
+ * @param {Function} setUp - Called with the piano before rendering, e.g. to move the live pedals
+ * @returns {Promise<Object>} - { hash, context, buffer }
+ */
+async function renderPerformance(setUp = () => {}) {
+    let context = null;
+    class RecordingOfflineAudioContext extends FakeOfflineAudioContext {
+        constructor(...args) {
+            super(...args);
+            context = this;
+        }
+    }
+    
+    const piano = new PianoModel({
+        audioContext: new FakeAudioContext(),
+        OfflineAudioContext: RecordingOfflineAudioContext,
+        Worker: IdleWorker
+    });
+    piano.setDimensions(150, 150, 40);
+    piano.setMaterial('wood');
+    piano.buildPiano();
+    setUp(piano);
+    
+    const buffer = await piano.renderOffline(recordedPerformance);
+    return { hash: context.hash(), context, buffer };
+}
+
+test('rendering a performance builds the same graph as before', async () => {
+    // Update this after a deliberate change to the sound, once the change has been listened to
+    const { hash } = await renderPerformance();
+    assert.equal(hash, '4da0bf21493cde2a8ae103a3a1be8d3c72ccab56118161dedebe330b3dd0b818');
+});
+
+test('the live pedals and controllers do not leak into an offline render', async () => {
+    const { hash } = await renderPerformance();
+    const { hash: hashWithLivePedals } = await renderPerformance(piano => {
+        piano.setSustainPedal(1);
+        piano.setSostenutoPedal(true);
+        piano.setSoftPedal(1);
+        piano.setPitchBend(0.5);
+        piano.setModWheel(1);
+        piano.setChannelPressure(1);
+    });
+    assert.equal(hashWithLivePedals, hash);
+});
+
+test('the render covers the last release and tail', async () => {
+    const { context, buffer } = await renderPerformance();
+    assert.equal(buffer.numberOfChannels, 2);
+    assert.equal(buffer.sampleRate, 44100);
+    assert.ok(buffer.duration > 1.8 + 2, `duration ${buffer.duration}`);
+    assert.equal(context.length, buffer.length);
+});
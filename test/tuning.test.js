@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Tuning } = require('../script-loader.js').load();
+
+const cents = (frequency, reference) => 1200 * Math.log2(frequency / reference);
+
+test('equal temperament puts A4 on the reference and every semitone 100 cents apart', () => {
+    const tuning = new Tuning();
+    assert.equal(tuning.getFrequency(69), 440);
+    for (let midiNote = 21; midiNote < 108; midiNote++) {
+        assert.ok(Math.abs(cents(tuning.getFrequency(midiNote + 1), tuning.getFrequency(midiNote)) - 100) < 1e-9);
+    }
+    
+    tuning.setReferencePitch(415);
+    assert.equal(tuning.getFrequency(69), 415);
+});
+
+test('temperaments keep A4 on the reference and follow their tables from the tonic', () => {
+    const tuning = new Tuning();
+    tuning.setTemperament('meantone', 0);
+    assert.ok(Math.abs(tuning.getFrequency(69) - 440) < 1e-9);
+    
+    // Pure major third C-E, fifth C-G a quarter comma narrow
+    assert.ok(Math.abs(cents(tuning.getFrequency(64), tuning.getFrequency(60)) - 386.31) < 1e-9);
+    assert.ok(Math.abs(cents(tuning.getFrequency(67), tuning.getFrequency(60)) - 696.58) < 1e-9);
+    
+    // The same table rotated to D
+    tuning.setTemperament('meantone', 2);
+    assert.ok(Math.abs(cents(tuning.getFrequency(66), tuning.getFrequency(62)) - 386.31) < 1e-9);
+    
+    assert.throws(() => tuning.setTemperament('nonexistent'), /Unknown temperament/);
+});
+
+test('Scala scales parse cents, ratios and whole numbers, with 1/1 implied', () => {
+    const tuning = new Tuning();
+    const scale = tuning.parseScala([
+        '! test.scl',
+        '!',
+        'Three-note test scale',
+        ' 3',
+        '!',
+        ' 350.0',
+        ' 3/2  fifth',
+        ' 2'
+    ].join('\n'));
+    
+    assert.equal(scale.description, 'Three-note test scale');
+    assert.equal(scale.cents.length, 3);
+    assert.equal(scale.cents[0], 350);
+    assert.ok(Math.abs(scale.cents[1] - 701.955) < 1e-3);
+    assert.equal(scale.cents[2], 1200);
+});
+
+test('Scala parsing reports every problem with its line number', () => {
+    const tuning = new Tuning();
+    assert.throws(() => tuning.parseScala('Only a description'), /incomplete/);
+    assert.throws(() => tuning.parseScala('Scale\nmany'), /Line 2: expected the number of notes/);
+    assert.throws(() => tuning.parseScala('Scale\n3\n100.0\nfoo\n3/0'), (error) =>
+        /Line 4: invalid pitch "foo"/.test(error.message) && /Line 5: invalid pitch "3\/0"/.test(error.message));
+    assert.throws(() => tuning.parseScala('Scale\n3\n100.0\n200.0'), /declares 3 notes but only has 2/);
+    assert.throws(() => tuning.parseScala('Scale\n1\n-100.0'), /period/);
+});
+
+test('a loaded Scala scale and mapping tune the keys and leave unmapped keys silent', () => {
+    const tuning = new Tuning();
+    tuning.loadScala('19-EDO\n19\n' + Array.from({ length: 19 }, (_, i) => `${((i + 1) * 1200 / 19).toFixed(5)}`).join('\n'));
+    
+    // Default linear mapping: A4 on the reference, one degree per key
+    assert.equal(tuning.temperament, 'scala');
+    assert.ok(Math.abs(tuning.getFrequency(69) - 440) < 1e-9);
+    assert.ok(Math.abs(cents(tuning.getFrequency(70), tuning.getFrequency(69)) - 1200 / 19) < 1e-3);
+    assert.equal(tuning.getNoteName(60), '0·4');
+    
+    // Map of 2 with every other key unmapped, reference on a mapped key
+    tuning.loadKeyboardMapping('2\n0\n127\n60\n60\n261.6\n0\n0\nx');
+    assert.ok(Math.abs(tuning.getFrequency(60) - 261.6) < 1e-9);
+    assert.equal(tuning.getFrequency(61), null);
+    assert.equal(tuning.getNoteName(61), '×');
+    
+    // A mapping whose reference note is unmapped is refused, and the old one stays
+    assert.throws(() => tuning.loadKeyboardMapping('2\n0\n127\n60\n61\n440\n0\n0\nx'), /reference note 61 is not mapped/);
+    assert.equal(tuning.keyboardMapping.referenceNote, 60);
+});
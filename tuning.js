@@ -0,0 +1,455 @@
+/**
+ * Tuning - Handles reference pitch and temperaments
+ *
+ * Each temperament lists where its twelve notes sit, in cents above the tonic.
+ * The tables are written for C and rotated to the chosen tonic, then the whole
+ * scale is shifted so A4 lands exactly on the reference pitch.
+ *
+ * Scala scale (.scl) and keyboard mapping (.kbm) files replace the temperament
+ * with an arbitrary scale, including non-12 equal divisions; keys the mapping
+ * leaves out are silent.
+ */
+class Tuning {
+    constructor() {
+        // Frequency of A4 in Hz
+        this.referencePitch = 440;
+        
+        // Current temperament and the pitch class it is centred on (0 = C ... 11 = B)
+        this.temperament = 'equal';
+        this.tonic = 0;
+        
+        this.temperaments = this.createTemperaments();
+        
+        // Loaded Scala scale { description, cents } (cents of degrees 1..N, the last is the period)
+        this.scale = null;
+        
+        // Loaded Scala keyboard mapping (see parseKeyboardMapping), null for the default linear mapping
+        this.keyboardMapping = null;
+    }
+    
+    /**
+     * The built-in temperaments, as cents above C for C, C#, D ... B
+     * @returns {Object} - { id: { name, cents } }
+     */
+    createTemperaments() {
+        return {
+            equal: {
+                name: 'Equal temperament',
+                cents: [0, 100, 200, 300, 400, 500, 600, 700, 800, 900, 1000, 1100]
+            },
+            pythagorean: {
+                // Pure 3:2 fifths from Eb to G#, the wolf between G# and Eb
+                name: 'Pythagorean',
+                cents: [0, 113.69, 203.91, 294.13, 407.82, 498.04, 611.73, 701.96, 815.64, 905.87, 996.09, 1109.78]
+            },
+            meantone: {
+                // Fifths narrowed by a quarter of the syntonic comma for pure major thirds
+                name: 'Quarter-comma meantone',
+                cents: [0, 76.05, 193.16, 310.26, 386.31, 503.42, 579.47, 696.58, 772.63, 889.74, 1006.84, 1082.89]
+            },
+            werckmeister3: {
+                // C-G-D-A and B-F# narrowed by a quarter of the Pythagorean comma
+                name: 'Werckmeister III',
+                cents: [0, 90.22, 192.18, 294.13, 390.22, 498.04, 588.27, 696.09, 792.18, 888.27, 996.09, 1092.18]
+            },
+            kirnberger3: {
+                // Pure C-E third, the syntonic comma shared over C-G-D-A-E
+                name: 'Kirnberger III',
+                cents: [0, 90.22, 193.16, 294.13, 386.31, 498.04, 590.22, 696.58, 792.18, 889.74, 996.09, 1088.27]
+            },
+            vallotti: {
+                // Six fifths from F to B narrowed by a sixth of the Pythagorean comma, the rest pure
+                name: 'Vallotti',
+                cents: [0, 94.13, 196.09, 298.04, 392.18, 501.96, 592.18, 698.04, 796.09, 894.13, 1000, 1090.22]
+            },
+            just: {
+                // 5-limit ratios: 1/1 16/15 9/8 6/5 5/4 4/3 45/32 3/2 8/5 5/3 16/9 15/8
+                name: 'Just intonation',
+                cents: [0, 111.73, 203.91, 315.64, 386.31, 498.04, 590.22, 701.96, 813.69, 884.36, 996.09, 1088.27]
+            }
+        };
+    }
+    
+    /**
+     * List the available temperaments
+     * @returns {Object[]} - { id, name }
+     */
+    getTemperaments() {
+        const temperaments = Object.keys(this.temperaments).map(id => ({ id, name: this.temperaments[id].name }));
+        
+        if (this.scale) {
+            temperaments.push({ id: 'scala', name: `Scala: ${this.scale.description || `${this.scale.cents.length}-note scale`}` });
+        }
+        
+        return temperaments;
+    }
+    
+    /**
+     * Set the frequency of A4
+     * @param {number} frequency - Reference pitch in Hz (e.g. 415, 432, 440, 442)
+     */
+    setReferencePitch(frequency) {
+        if (!(frequency > 0)) {
+            throw new Error(`Invalid reference pitch: ${frequency}`);
+        }
+        this.referencePitch = Math.max(380, Math.min(480, frequency));
+    }
+    
+    /**
+     * Select a temperament and the tonic it is centred on
+     * @param {string} temperament - Temperament id (see getTemperaments)
+     * @param {number} tonic - Pitch class of the tonic, 0 (C) to 11 (B)
+     */
+    setTemperament(temperament, tonic = this.tonic) {
+        if (temperament === 'scala' && !this.scale) {
+            throw new Error('No Scala scale has been loaded');
+        }
+        if (temperament !== 'scala' && !this.temperaments[temperament]) {
+            throw new Error(`Unknown temperament: ${temperament}`);
+        }
+        this.temperament = temperament;
+        this.tonic = ((Math.round(tonic) % 12) + 12) % 12;
+    }
+    
+    /**
+     * Get how far a pitch class sits from equal temperament, before the A4 normalization
+     * @param {number} pitchClass - 0 (C) to 11 (B)
+     * @returns {number} - Offset in cents
+     */
+    getOffset(pitchClass) {
+        const degree = ((pitchClass - this.tonic) % 12 + 12) % 12;
+        return this.temperaments[this.temperament].cents[degree] - degree * 100;
+    }
+    
+    /**
+     * Get the frequency of a MIDI note
+     * @param {number} midiNote - MIDI note number
+     * @returns {number|null} - Frequency in Hz, or null for a key the Scala mapping leaves out
+     */
+    getFrequency(midiNote) {
+        if (this.temperament === 'scala') {
+            return this.getScalaFrequency(midiNote);
+        }
+        
+        // Offsets are relative to the tonic; subtract A's so A4 stays on the reference
+        const cents = (midiNote - 69) * 100 + this.getOffset(midiNote % 12) - this.getOffset(9);
+        return this.referencePitch * Math.pow(2, cents / 1200);
+    }
+    
+    /**
+     * Get a note's name, e.g. 'C#4'
+     *
+     * With a Scala scale, names are the scale degree and the octave, counted so
+     * the mapping's middle note is degree 0 of octave 4 (e.g. '7·4'); keys left
+     * unmapped show '×'.
+     *
+     * @param {number} midiNote - MIDI note number
+     * @returns {string}
+     */
+    getNoteName(midiNote) {
+        if (this.temperament !== 'scala') {
+            return Tuning.getTwelveNoteName(midiNote);
+        }
+        
+        const location = this.getScalaLocation(midiNote, this.getMapping());
+        if (!location) return '×';
+        
+        return `${location.degree}·${4 + location.octave}`;
+    }
+    
+    /**
+     * Get a key's name on an ordinary 12-note keyboard, e.g. 'C#4'
+     * @param {number} midiNote - MIDI note number
+     * @returns {string}
+     */
+    static getTwelveNoteName(midiNote) {
+        const noteNames = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+        return noteNames[midiNote % 12] + (Math.floor(midiNote / 12) - 1);
+    }
+    
+    /**
+     * Load a Scala scale and switch to it
+     * @param {string} text - Contents of a .scl file
+     * @throws {Error} - Describing every problem found, with line numbers
+     */
+    loadScala(text) {
+        const scale = this.parseScala(text);
+        this.validateMapping(scale, this.keyboardMapping);
+        
+        this.scale = scale;
+        this.temperament = 'scala';
+    }
+    
+    /**
+     * Load a Scala keyboard mapping
+     * @param {string} text - Contents of a .kbm file
+     * @throws {Error} - Describing every problem found, with line numbers
+     */
+    loadKeyboardMapping(text) {
+        const mapping = this.parseKeyboardMapping(text);
+        if (this.scale) {
+            this.validateMapping(this.scale, mapping);
+        }
+        
+        this.keyboardMapping = mapping;
+    }
+    
+    /**
+     * Forget the loaded Scala scale and mapping and go back to equal temperament
+     */
+    clearScala() {
+        this.scale = null;
+        this.keyboardMapping = null;
+        if (this.temperament === 'scala') {
+            this.temperament = 'equal';
+        }
+    }
+    
+    /**
+     * Parse a Scala scale file
+     *
+     * After '!' comment lines come a description, the number of notes, then one
+     * pitch per line: cents if it contains a '.', otherwise a ratio such as 3/2
+     * or a whole number. Degree 0 (1/1) is implied and the last pitch is the period.
+     *
+     * @param {string} text - Contents of a .scl file
+     * @returns {Object} - { description, cents }
+     * @throws {Error} - Describing every problem found, with line numbers
+     */
+    parseScala(text) {
+        // The description may be empty, so it is taken before blank lines are dropped
+        const allLines = this.getDataLines(text, true);
+        const lines = allLines.slice(0, 1).concat(allLines.slice(1).filter(line => line.text.trim() !== ''));
+        const errors = [];
+        
+        if (lines.length < 2) {
+            throw new Error('Scala file is incomplete: it needs a description line and a note count');
+        }
+        
+        const description = lines[0].text.trim();
+        const countLine = lines[1];
+        const count = parseInt(countLine.text.trim().split(/\s+/)[0], 10);
+        
+        if (!/^\s*\d+/.test(countLine.text) || isNaN(count) || count < 1) {
+            throw new Error(`Line ${countLine.number}: expected the number of notes, found "${countLine.text.trim()}"`);
+        }
+        
+        const pitchLines = lines.slice(2, 2 + count);
+        if (pitchLines.length < count) {
+            errors.push(`The file declares ${count} notes but only has ${pitchLines.length}`);
+        }
+        
+        const cents = [];
+        pitchLines.forEach(line => {
+            const value = this.parseScalaPitch(line.text);
+            if (value === null) {
+                errors.push(`Line ${line.number}: invalid pitch "${line.text.trim()}"`);
+            } else {
+                cents.push(value);
+            }
+        });
+        
+        if (errors.length === 0 && cents[cents.length - 1] <= 0) {
+            errors.push('The period (last pitch) must be above 1/1');
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        
+        return { description, cents };
+    }
+    
+    /**
+     * Parse one Scala pitch to cents
+     * @param {string} text - Pitch line (anything after the first token is a comment)
+     * @returns {number|null} - Cents, or null if invalid
+     */
+    parseScalaPitch(text) {
+        const token = text.trim().split(/\s+/)[0];
+        
+        if (token.includes('.')) {
+            return /^[-+]?\d*\.\d*$/.test(token) && token !== '.' ? parseFloat(token) : null;
+        }
+        
+        const match = token.match(/^(\d+)(?:\/(\d+))?$/);
+        if (!match) return null;
+        
+        const numerator = parseInt(match[1], 10);
+        const denominator = match[2] !== undefined ? parseInt(match[2], 10) : 1;
+        if (numerator <= 0 || denominator <= 0) return null;
+        
+        return 1200 * Math.log2(numerator / denominator);
+    }
+    
+    /**
+     * Parse a Scala keyboard mapping file
+     *
+     * After '!' comment lines come: map size, first and last MIDI note to retune,
+     * middle note (where the first map entry sits), reference note, its frequency,
+     * the scale degree of the formal octave, then one scale degree per map entry
+     * ('x' leaves the key unmapped). A map size of 0 means a linear mapping.
+     *
+     * @param {string} text - Contents of a .kbm file
+     * @returns {Object} - { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map }
+     * @throws {Error} - Describing every problem found, with line numbers
+     */
+    parseKeyboardMapping(text) {
+        const lines = this.getDataLines(text);
+        const errors = [];
+        const headerNames = ['map size', 'first MIDI note', 'last MIDI note', 'middle note',
+            'reference note', 'reference frequency', 'formal octave degree'];
+        
+        if (lines.length < headerNames.length) {
+            throw new Error(`Keyboard mapping is incomplete: expected ${headerNames.length} header lines, found ${lines.length}`);
+        }
+        
+        const header = headerNames.map((name, i) => {
+            const token = lines[i].text.trim().split(/\s+/)[0];
+            const value = Number(token);
+            const isFrequency = i === 5;
+            const valid = token !== '' && !isNaN(value) && (isFrequency ? value > 0 : Number.isInteger(value) && value >= 0);
+            
+            if (!valid) {
+                errors.push(`Line ${lines[i].number}: invalid ${name} "${lines[i].text.trim()}"`);
+            }
+            return value;
+        });
+        
+        const [size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree] = header;
+        
+        [['first MIDI note', firstNote], ['last MIDI note', lastNote], ['middle note', middleNote], ['reference note', referenceNote]]
+            .forEach(([name, note]) => {
+                if (note > 127) {
+                    errors.push(`The ${name} (${note}) must be between 0 and 127`);
+                }
+            });
+        if (firstNote > lastNote) {
+            errors.push(`The first MIDI note (${firstNote}) is above the last (${lastNote})`);
+        }
+        
+        // Entries beyond the end of the file are unmapped
+        const map = [];
+        lines.slice(headerNames.length, headerNames.length + (size || 0)).forEach(line => {
+            const token = line.text.trim().split(/\s+/)[0];
+            if (token.toLowerCase() === 'x') {
+                map.push(null);
+            } else if (/^\d+$/.test(token)) {
+                map.push(parseInt(token, 10));
+            } else {
+                errors.push(`Line ${line.number}: invalid map entry "${line.text.trim()}" (use a scale degree or x)`);
+            }
+        });
+        while (map.length < size) {
+            map.push(null);
+        }
+        
+        if (errors.length > 0) {
+            throw new Error(errors.join('\n'));
+        }
+        
+        return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, map };
+    }
+    
+    /**
+     * Check that a scale and mapping work together
+     * @throws {Error} - If the reference note would have no pitch
+     */
+    validateMapping(scale, mapping) {
+        if (!mapping) return;
+        
+        if (!this.getScalaLocation(mapping.referenceNote, mapping, scale)) {
+            throw new Error(`The reference note ${mapping.referenceNote} is not mapped, so the scale cannot be tuned`);
+        }
+    }
+    
+    /**
+     * Get the mapping in use: the loaded one, or Scala's default linear mapping
+     * with A4 (69) on the reference pitch and degree 0 on middle C
+     */
+    getMapping() {
+        return this.keyboardMapping || {
+            size: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: 60,
+            referenceNote: 69,
+            referenceFrequency: this.referencePitch,
+            octaveDegree: 0,
+            map: []
+        };
+    }
+    
+    /**
+     * Find which scale degree a key plays
+     * @param {number} midiNote - MIDI note number
+     * @param {Object} mapping - Keyboard mapping
+     * @param {Object} scale - Scale (the loaded one by default)
+     * @returns {Object|null} - { degree, octave, cents } relative to the middle note, or null if unmapped
+     */
+    getScalaLocation(midiNote, mapping, scale = this.scale) {
+        if (midiNote < mapping.firstNote || midiNote > mapping.lastNote) return null;
+        
+        const noteCount = scale.cents.length;
+        const period = scale.cents[noteCount - 1];
+        
+        // Pitch of any degree, counting on past the period into the following ones
+        const degreeCents = (degree) => {
+            const periods = Math.floor(degree / noteCount);
+            const index = degree - periods * noteCount;
+            return periods * period + (index === 0 ? 0 : scale.cents[index - 1]);
+        };
+        
+        const distance = midiNote - mapping.middleNote;
+        
+        if (mapping.size === 0) {
+            // Linear: each key is the next scale degree
+            const octave = Math.floor(distance / noteCount);
+            const degree = distance - octave * noteCount;
+            return { degree, octave, cents: degreeCents(distance) };
+        }
+        
+        const repeat = Math.floor(distance / mapping.size);
+        const mapped = mapping.map[distance - repeat * mapping.size];
+        if (mapped === null || mapped === undefined) return null;
+        
+        // Each repeat of the map moves up by the formal octave (the period if unset)
+        const octaveCents = mapping.octaveDegree > 0 ? degreeCents(mapping.octaveDegree) : period;
+        const totalDegree = mapped + repeat * (mapping.octaveDegree || noteCount);
+        
+        return {
+            degree: ((totalDegree % noteCount) + noteCount) % noteCount,
+            octave: Math.floor(totalDegree / noteCount),
+            cents: repeat * octaveCents + degreeCents(mapped)
+        };
+    }
+    
+    /**
+     * Get a key's frequency from the loaded Scala scale and mapping
+     * @returns {number|null} - Frequency in Hz, or null if the key is unmapped
+     */
+    getScalaFrequency(midiNote) {
+        const mapping = this.getMapping();
+        const location = this.getScalaLocation(midiNote, mapping);
+        if (!location) return null;
+        
+        const reference = this.getScalaLocation(mapping.referenceNote, mapping);
+        return mapping.referenceFrequency * Math.pow(2, (location.cents - reference.cents) / 1200);
+    }
+    
+    /**
+     * Split a Scala file into its non-comment lines, keeping line numbers for error messages
+     * @param {string} text - File contents
+     * @param {boolean} keepBlank - Whether to keep blank lines
+     * @returns {Object[]} - { number, text }
+     */
+    getDataLines(text, keepBlank = false) {
+        return String(text).split(/\r?\n/)
+            .map((line, i) => ({ number: i + 1, text: line }))
+            .filter(line => !line.text.startsWith('!') && (keepBlank || line.text.trim() !== ''));
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Tuning;
+}
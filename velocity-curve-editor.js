@@ -0,0 +1,142 @@
+/**
+ * Velocity Curve Editor - Handles drawing the custom velocity curve
+ *
+ * Shows the selected curve on a small canvas (input velocity across, output
+ * up). Dragging over it draws a custom curve and switches to it.
+ */
+class VelocityCurveEditor {
+    /**
+     * @param {string} canvasId - Id of the canvas to draw on
+     * @param {VelocityCurve} velocityCurve - Curve being shown and edited
+     * @param {Function} onChange - Called after the custom curve has been drawn
+     * @param {Object} options
+     * @param {Document} options.document - Document the canvas is looked up in (default: the page)
+     * @param {EventTarget} options.window - Receives the end of a drag outside the canvas (default: the window)
+     */
+    constructor(canvasId, velocityCurve, onChange, options = {}) {
+        this.document = options.document || (typeof document !== 'undefined' ? document : null);
+        this.window = options.window || (typeof window !== 'undefined' ? window : null);
+        this.canvas = this.document ? this.document.getElementById(canvasId) : null;
+        this.velocityCurve = velocityCurve;
+        this.onChange = onChange;
+        
+        // Points being drawn, committed to the curve when the drag ends
+        this.drawingPoints = null;
+        
+        if (!this.canvas) return;
+        
+        this.ctx = this.canvas.getContext('2d');
+        this.initListeners();
+        this.draw();
+    }
+    
+    /**
+     * Draw by dragging with the mouse or a finger
+     */
+    initListeners() {
+        const start = (e) => {
+            e.preventDefault();
+            this.drawingPoints = this.velocityCurve.customPoints.slice();
+            
+            // Start from the curve as it currently sounds, so switching to custom is seamless
+            if (this.velocityCurve.curve !== 'custom') {
+                this.drawingPoints = this.drawingPoints.map((point, i) => this.velocityCurve.apply(i / (this.drawingPoints.length - 1)));
+            }
+            this.drawAt(e);
+        };
+        const move = (e) => {
+            if (!this.drawingPoints) return;
+            e.preventDefault();
+            this.drawAt(e);
+        };
+        const end = () => {
+            if (!this.drawingPoints) return;
+            
+            this.velocityCurve.setCustomPoints(this.drawingPoints);
+            this.velocityCurve.setCurve('custom');
+            this.drawingPoints = null;
+            this.draw();
+            
+            if (this.onChange) {
+                this.onChange();
+            }
+        };
+        
+        this.canvas.addEventListener('mousedown', start);
+        this.canvas.addEventListener('mousemove', move);
+        this.window.addEventListener('mouseup', end);
+        this.canvas.addEventListener('touchstart', start, { passive: false });
+        this.canvas.addEventListener('touchmove', move, { passive: false });
+        this.window.addEventListener('touchend', end);
+    }
+    
+    /**
+     * Set the point nearest the pointer to the pointer's height
+     */
+    drawAt(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const point = e.touches ? e.touches[0] : e;
+        const x = Math.max(0, Math.min(1, (point.clientX - rect.left) / rect.width));
+        const y = Math.max(0, Math.min(1, 1 - (point.clientY - rect.top) / rect.height));
+        
+        const index = Math.round(x * (this.drawingPoints.length - 1));
+        this.drawingPoints[index] = y;
+        this.draw();
+    }
+    
+    /**
+     * Draw the grid and the curve (or the one being drawn)
+     */
+    draw() {
+        if (!this.ctx) return;
+        
+        const { width, height } = this.canvas;
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+        
+        // Quarter grid and the linear diagonal for reference
+        ctx.strokeStyle = '#e0e0e0';
+        ctx.lineWidth = 1;
+        for (let i = 1; i < 4; i++) {
+            ctx.beginPath();
+            ctx.moveTo(i * width / 4, 0);
+            ctx.lineTo(i * width / 4, height);
+            ctx.moveTo(0, i * height / 4);
+            ctx.lineTo(width, i * height / 4);
+            ctx.stroke();
+        }
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        ctx.lineTo(width, 0);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        
+        // The curve itself, sampled across the input range
+        const points = this.drawingPoints;
+        const shape = (input) => {
+            if (!points) return this.velocityCurve.apply(input);
+            const position = input * (points.length - 1);
+            const index = Math.min(points.length - 2, Math.floor(position));
+            const fraction = position - index;
+            return points[index] * (1 - fraction) + points[index + 1] * fraction;
+        };
+        
+        ctx.strokeStyle = '#3a86ff';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        for (let x = 0; x <= width; x++) {
+            const y = height - shape(x / width) * height;
+            if (x === 0) {
+                ctx.moveTo(x, y);
+            } else {
+                ctx.lineTo(x, y);
+            }
+        }
+        ctx.stroke();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VelocityCurveEditor;
+}
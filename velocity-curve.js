@@ -0,0 +1,159 @@
+/**
+ * Velocity Curve - Handles shaping incoming key velocities
+ *
+ * Every note passes through the selected curve before it reaches the piano:
+ * linear, soft (light playing sounds louder), hard (it takes a firm touch to
+ * play loudly), fixed (every note at one level) or a custom curve drawn in the
+ * editor. The settings are kept in localStorage.
+ */
+class VelocityCurve {
+    /**
+     * @param {Storage} storage - Where the settings are kept (default: window.localStorage;
+     *                            null keeps them in memory only, e.g. under Node)
+     */
+    constructor(storage) {
+        this.storage = storage !== undefined ? storage : (typeof window !== 'undefined' ? window.localStorage : null);
+        
+        // localStorage key for the curve settings
+        this.storageKey = 'imagineKeys.velocityCurve';
+        
+        this.curves = {
+            linear: { name: 'Linear' },
+            soft: { name: 'Soft', exponent: 0.6 },
+            hard: { name: 'Hard', exponent: 1.8 },
+            fixed: { name: 'Fixed' },
+            custom: { name: 'Custom' }
+        };
+        
+        this.curve = 'linear';
+        
+        // Level every note plays at with the fixed curve
+        this.fixedVelocity = 0.7;
+        
+        // Custom curve: output levels at evenly spaced input velocities from 0 to 1
+        this.customPoints = [0, 0.125, 0.25, 0.375, 0.5, 0.625, 0.75, 0.875, 1];
+        
+        this.load();
+    }
+    
+    /**
+     * Get the available curves
+     * @returns {Object[]} - { id, name } for each curve
+     */
+    getCurves() {
+        return Object.keys(this.curves).map(id => ({ id, name: this.curves[id].name }));
+    }
+    
+    /**
+     * Select a curve
+     * @param {string} curve - Curve id (see getCurves)
+     */
+    setCurve(curve) {
+        if (!this.curves[curve]) {
+            throw new Error(`Unknown velocity curve "${curve}"`);
+        }
+        
+        this.curve = curve;
+        this.save();
+    }
+    
+    /**
+     * Set the level used by the fixed curve
+     * @param {number} velocity - 0 to 1
+     */
+    setFixedVelocity(velocity) {
+        this.fixedVelocity = Math.max(0, Math.min(1, velocity));
+        this.save();
+    }
+    
+    /**
+     * Replace the custom curve
+     * @param {number[]} points - Output levels (0 to 1) at evenly spaced inputs, at least two
+     */
+    setCustomPoints(points) {
+        if (!Array.isArray(points) || points.length < 2 || points.some(point => typeof point !== 'number' || isNaN(point))) {
+            throw new Error('A custom velocity curve needs at least two numeric points');
+        }
+        
+        this.customPoints = points.map(point => Math.max(0, Math.min(1, point)));
+        this.save();
+    }
+    
+    /**
+     * Shape a velocity with the selected curve
+     * @param {number} velocity - Incoming velocity, 0 to 1
+     * @returns {number} - Velocity to play, 0 to 1
+     */
+    apply(velocity) {
+        const input = Math.max(0, Math.min(1, velocity));
+        
+        switch (this.curve) {
+            case 'soft':
+            case 'hard':
+                return Math.pow(input, this.curves[this.curve].exponent);
+            case 'fixed':
+                return this.fixedVelocity;
+            case 'custom':
+                return this.interpolateCustom(input);
+            default:
+                return input;
+        }
+    }
+    
+    /**
+     * Read the custom curve between its points
+     */
+    interpolateCustom(input) {
+        const segments = this.customPoints.length - 1;
+        const position = input * segments;
+        const index = Math.min(segments - 1, Math.floor(position));
+        const fraction = position - index;
+        return this.customPoints[index] * (1 - fraction) + this.customPoints[index + 1] * fraction;
+    }
+    
+    /**
+     * Load the settings from localStorage, keeping the defaults for anything missing or invalid
+     */
+    load() {
+        if (!this.storage) return;
+        
+        let stored;
+        try {
+            stored = JSON.parse(this.storage.getItem(this.storageKey) || 'null');
+        } catch (e) {
+            console.warn('Could not load the velocity curve:', e);
+            return;
+        }
+        
+        if (!stored || typeof stored !== 'object') return;
+        
+        if (this.curves[stored.curve]) {
+            this.curve = stored.curve;
+        }
+        if (typeof stored.fixedVelocity === 'number') {
+            this.fixedVelocity = Math.max(0, Math.min(1, stored.fixedVelocity));
+        }
+        if (Array.isArray(stored.customPoints) && stored.customPoints.length >= 2 &&
+            stored.customPoints.every(point => typeof point === 'number' && !isNaN(point))) {
+            this.customPoints = stored.customPoints.map(point => Math.max(0, Math.min(1, point)));
+        }
+    }
+    
+    /**
+     * Write the settings to localStorage
+     */
+    save() {
+        if (!this.storage) return;
+        
+        const { curve, fixedVelocity, customPoints } = this;
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({ curve, fixedVelocity, customPoints }));
+        } catch (e) {
+            console.warn('Could not store the velocity curve:', e);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = VelocityCurve;
+}
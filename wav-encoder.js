@@ -0,0 +1,99 @@
+/**
+ * WAV Encoder - Handles conversion of rendered AudioBuffers to PCM WAV files
+ */
+class WavEncoder {
+    /**
+     * @param {number} bitDepth - 16 or 24 bits per sample
+     */
+    constructor(bitDepth = 16) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth} (use 16 or 24)`);
+        }
+        
+        this.bitDepth = bitDepth;
+        this.bytesPerSample = bitDepth / 8;
+    }
+    
+    /**
+     * Encode an AudioBuffer as a little-endian PCM WAV file
+     * @param {AudioBuffer} audioBuffer - Buffer to encode (any number of channels)
+     * @returns {ArrayBuffer} - The complete file, header included
+     */
+    encode(audioBuffer) {
+        const channelCount = audioBuffer.numberOfChannels;
+        const frameCount = audioBuffer.length;
+        const blockAlign = channelCount * this.bytesPerSample;
+        const dataSize = frameCount * blockAlign;
+        
+        const buffer = new ArrayBuffer(44 + dataSize);
+        const view = new DataView(buffer);
+        
+        // RIFF header
+        this.writeString(view, 0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        this.writeString(view, 8, 'WAVE');
+        
+        // Format chunk: uncompressed PCM
+        this.writeString(view, 12, 'fmt ');
+        view.setUint32(16, 16, true);
+        view.setUint16(20, 1, true);
+        view.setUint16(22, channelCount, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * blockAlign, true);
+        view.setUint16(32, blockAlign, true);
+        view.setUint16(34, this.bitDepth, true);
+        
+        // Data chunk: interleaved samples
+        this.writeString(view, 36, 'data');
+        view.setUint32(40, dataSize, true);
+        
+        const channels = [];
+        for (let channel = 0; channel < channelCount; channel++) {
+            channels.push(audioBuffer.getChannelData(channel));
+        }
+        
+        const maxValue = Math.pow(2, this.bitDepth - 1) - 1;
+        let offset = 44;
+        
+        for (let i = 0; i < frameCount; i++) {
+            for (let channel = 0; channel < channelCount; channel++) {
+                // Clip rather than wrap around if the rendering went over full scale
+                const sample = Math.max(-1, Math.min(1, channels[channel][i]));
+                const value = Math.round(sample * maxValue);
+                
+                if (this.bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xFF);
+                    view.setUint8(offset + 1, (value >> 8) & 0xFF);
+                    view.setUint8(offset + 2, (value >> 16) & 0xFF);
+                }
+                offset += this.bytesPerSample;
+            }
+        }
+        
+        return buffer;
+    }
+    
+    /**
+     * Encode an AudioBuffer as a WAV Blob for download
+     * @param {AudioBuffer} audioBuffer - Buffer to encode
+     * @returns {Blob}
+     */
+    createBlob(audioBuffer) {
+        return new Blob([this.encode(audioBuffer)], { type: 'audio/wav' });
+    }
+    
+    /**
+     * Write an ASCII tag into the header
+     */
+    writeString(view, offset, text) {
+        for (let i = 0; i < text.length; i++) {
+            view.setUint8(offset + i, text.charCodeAt(i));
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WavEncoder;
+}